@@ -2,174 +2,662 @@ const express = require("express")
 const cors = require("cors")
 const path = require("path")
 const Database = require("./database")
+const events = require("./events")
+const auth = require("./auth")
+const notesExport = require("./export")
+const logger = require("./logger")
+const metrics = require("./metrics")
+const { loadConfig } = require("./config")
+const { buildAssetManifest, manifestScript } = require("./assets")
+const { errorBody, sendError, notFound, errorHandler } = require("./errors")
+const { check, describeProblems } = require("./validation")
+const { validators, syncOperation, importedNote } = require("./schemas")
+const search = require("./public/search")
+const { VersionConflictError } = Database
 
+const config = loadConfig()
+logger.setLevel(config.logLevel)
 const app = express()
-const PORT = 3000
+const PURGE_INTERVAL = 60 * 60 * 1000 // Check the trash hourly
 
 // Initialize database
-const db = new Database()
+const db = new Database(config.dbPath)
 
 // Middleware
-app.use(cors())
-app.use(express.json())
-app.use(express.static("public"))
+app.use(logger.requestLogger)
+app.use(metrics.requestMetrics)
+// Lets the page read the request ID off responses, for bug reports
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }))
+// Imports are parsed first, with a larger limit; the parsers below skip a
+// body that has already been read
+app.use(
+  "/api/import",
+  express.json({ limit: config.importLimit }),
+  express.raw({ type: "application/zip", limit: config.importLimit })
+)
+// Big enough for a note at the longest content allowed (see schemas.js)
+app.use(express.json({ limit: "1mb" }))
 
-app.use((req, res, next) => {
-  console.log("new request", req.body)
-  next()
+// Built once at startup, so restart the server after changing public/
+const assetManifest = buildAssetManifest(path.join(__dirname, "public"))
+
+// Imported by the service worker. Browsers compare imported scripts when
+// checking for a new worker, so this must always be revalidated.
+app.get("/asset-manifest.js", (req, res) => {
+  res.set("Cache-Control", "no-cache")
+  res.type("application/javascript").send(manifestScript(assetManifest))
 })
 
+app.use(express.static(path.join(__dirname, "public")))
+
 // API Routes
 
-// Get all notes
-app.get("/api/notes", (req, res) => {
+// Health check
+app.get("/api/health", (req, res) => {
+  res.json({ status: "ok", timestamp: Date.now() })
+})
+
+// What the page and service worker need to know about this server. Public,
+// since the page reads it before anyone signs in.
+app.get("/api/config", (req, res) => {
+  res.json({
+    apiUrl: config.publicApiUrl,
+    trashRetentionDays: config.trashRetentionDays,
+  })
+})
+
+// Register a new account and sign it in
+app.post("/api/auth/register", validators.register, async (req, res) => {
+  try {
+    const { username, password } = req.body
+
+    if (db.getUserByUsername(username)) {
+      return sendError(res, 409, "USERNAME_TAKEN", "Username is already taken")
+    }
+
+    const user = db.createUser(username, await auth.hashPassword(password))
+
+    req.log.info("Registered user", { userId: user.id })
+    res.status(201).json(startSession(user))
+  } catch (error) {
+    req.log.error("Error registering user", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to register")
+  }
+})
+
+// Sign in
+app.post("/api/auth/login", validators.login, async (req, res) => {
+  try {
+    const { username, password } = req.body
+    const user = db.getUserByUsername(username)
+
+    const valid =
+      user && (await auth.verifyPassword(password, user.passwordHash))
+
+    if (!valid) {
+      return sendError(
+        res,
+        401,
+        "INVALID_CREDENTIALS",
+        "Invalid username or password"
+      )
+    }
+
+    res.json(startSession(user))
+  } catch (error) {
+    req.log.error("Error signing in", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to sign in")
+  }
+})
+
+function startSession(user) {
+  const token = auth.createToken()
+  const expires = Date.now() + auth.SESSION_TTL
+  db.createSession(auth.hashToken(token), user.id, expires)
+  return { token, user: { id: user.id, username: user.username } }
+}
+
+// Prometheus metrics (see metrics.js). Scrapers don't sign in, so they
+// send config.metricsToken instead; without one the route isn't there.
+if (config.metricsToken) {
+  app.get(
+    "/api/metrics",
+    auth.requireConfiguredToken(config.metricsToken),
+    (req, res) => {
+      res.set("Content-Type", metrics.CONTENT_TYPE).send(metrics.render())
+    }
+  )
+}
+
+// Live note changes (Server-Sent Events). EventSource can't send headers,
+// so this is the one route that takes the token as ?token=.
+app.get(
+  "/api/events",
+  auth.requireAuth(db, { queryToken: true }),
+  events.subscribe
+)
+
+// Everything below needs a signed-in user
+app.use("/api", auth.requireAuth(db))
+
+// Sign out - ends the session the request was made with, and its streams
+app.post("/api/auth/logout", (req, res) => {
+  try {
+    db.deleteSession(req.session.tokenHash)
+    events.closeSession(req.session.tokenHash)
+    res.status(204).send()
+  } catch (error) {
+    req.log.error("Error signing out", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to sign out")
+  }
+})
+
+// The signed-in user
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user })
+})
+
+// The settings each device needs to derive the key for the user's
+// encrypted notes (see public/crypto.js), or null. The key and passphrase
+// never reach the server.
+app.get("/api/encryption", (req, res) => {
   try {
-    const notes = db.getAllNotes()
-    res.json(notes)
+    res.json({ encryption: db.getEncryption(req.user.id) })
   } catch (error) {
-    console.error("Error fetching notes:", error)
-    res.status(500).json({ error: "Failed to fetch notes" })
+    req.log.error("Error fetching encryption settings", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch encryption settings")
+  }
+})
+
+// Turn encryption on or off, or switch to a new key. The client re-encrypts
+// its notes and syncs them afterwards.
+app.put("/api/encryption", validators.encryption, (req, res) => {
+  try {
+    const { encryption, previousKeyId } = req.body
+
+    if (!db.setEncryption(req.user.id, encryption, previousKeyId)) {
+      return sendError(
+        res,
+        409,
+        "KEY_CHANGED",
+        "The encryption key was changed on another device",
+        { encryption: db.getEncryption(req.user.id) }
+      )
+    }
+
+    req.log.info("Changed encryption settings", {
+      keyId: encryption ? encryption.keyId : null,
+    })
+    res.json({ encryption })
+  } catch (error) {
+    req.log.error("Error changing encryption settings", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to change encryption")
+  }
+})
+
+const OPERATION_TYPES = ["create", "update", "delete", "restore"]
+const CHANGE_EVENTS = {
+  create: "created",
+  update: "updated",
+  delete: "deleted",
+  restore: "restored",
+}
+
+// Tells the owner's open clients about a change and counts it. `source` is
+// "api", "sync" or "import".
+function noteChanged(operation, note, source) {
+  events.broadcast(CHANGE_EVENTS[operation], note)
+  metrics.noteOperations.inc({ operation, source })
+}
+
+function noteNotFound(res) {
+  return sendError(res, 404, "NOT_FOUND", "Note not found")
+}
+
+// List notes a page at a time. Pass the returned nextCursor back as
+// `cursor` to get the next page.
+app.get("/api/notes", validators.listNotes, (req, res) => {
+  try {
+    const { cursor, ...options } = req.query
+
+    res.json(db.getAllNotes(req.user.id, { ...options, after: cursor }))
+  } catch (error) {
+    req.log.error("Error fetching notes", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch notes")
+  }
+})
+
+// Full-text search, using the same query syntax as the client's offline
+// search. Results carry an HTML snippet with the matches marked.
+app.get("/api/notes/search", validators.searchNotes, (req, res) => {
+  try {
+    const terms = search.parseSearchQuery(req.query.q)
+
+    // e.g. nothing but punctuation
+    if (terms.length === 0) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_FAILED",
+        "q has nothing to search for",
+        [{ path: "q", message: "has nothing to search for" }]
+      )
+    }
+
+    const results = db
+      .searchNotes(req.user.id, terms, req.query.limit)
+      .map((note) => ({
+        ...note,
+        snippet: search.searchSnippet(note.content, terms),
+      }))
+
+    res.json({ results })
+  } catch (error) {
+    req.log.error("Error searching notes", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to search notes")
   }
 })
 
 // Create a new note
-app.post("/api/notes", (req, res) => {
+app.post("/api/notes", validators.createNote, (req, res) => {
   try {
-    const { content, clientId, created, updated } = req.body
+    const { content, clientId, created, updated, tags, notebook } = req.body
 
-    if (!content || !content.trim()) {
-      return res.status(400).json({ error: "Content is required" })
+    // clientId is an idempotency key - a retried create gets the same note
+    const existing = clientId && db.getNoteByClientId(req.user.id, clientId)
+    if (existing) {
+      req.log.info("Note already exists", { noteId: existing.id })
+      return res.json(existing)
     }
 
-    const note = db.createNote({
-      content: content.trim(),
+    const note = db.createNote(req.user.id, {
+      content,
       clientId,
       created: created || Date.now(),
       updated: updated || Date.now(),
+      tags,
+      notebook,
     })
 
-    console.log("Created note:", note.id)
+    req.log.info("Created note", { noteId: note.id })
+    noteChanged("create", note, "api")
     res.status(201).json(note)
   } catch (error) {
-    console.error("Error creating note:", error)
-    res.status(500).json({ error: "Failed to create note" })
+    req.log.error("Error creating note", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to create note")
   }
 })
 
 // Update a note
-app.put("/api/notes/:id", (req, res) => {
+app.put("/api/notes/:id", validators.updateNote, (req, res) => {
   try {
     const { id } = req.params
-    const { content, updated } = req.body
-
-    if (!content || !content.trim()) {
-      return res.status(400).json({ error: "Content is required" })
-    }
+    const { content, updated, baseVersion, tags, notebook } = req.body
 
-    const note = db.updateNote(parseInt(id), {
-      content: content.trim(),
+    const note = db.updateNote(req.user.id, id, {
+      content,
       updated: updated || Date.now(),
+      baseVersion,
+      tags,
+      notebook,
     })
 
-    if (!note) {
-      return res.status(404).json({ error: "Note not found" })
-    }
+    if (!note) return noteNotFound(res)
 
-    console.log("Updated note:", id)
+    req.log.info("Updated note", { noteId: id })
+    noteChanged("update", note, "api")
     res.json(note)
   } catch (error) {
-    console.error("Error updating note:", error)
-    res.status(500).json({ error: "Failed to update note" })
+    if (error instanceof VersionConflictError) {
+      req.log.info("Version conflict", { noteId: req.params.id })
+      return sendError(res, 409, "VERSION_CONFLICT", error.message, {
+        note: error.current,
+      })
+    }
+
+    req.log.error("Error updating note", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to update note")
   }
 })
 
 // Delete a note
-app.delete("/api/notes/:id", (req, res) => {
+app.delete("/api/notes/:id", validators.note, (req, res) => {
   try {
     const { id } = req.params
-    const success = db.deleteNote(parseInt(id))
+    const note = db.deleteNote(req.user.id, id)
 
-    if (!success) {
-      return res.status(404).json({ error: "Note not found" })
-    }
+    if (!note) return noteNotFound(res)
 
-    console.log("Deleted note:", id)
+    req.log.info("Deleted note", { noteId: id })
+    noteChanged("delete", note, "api")
     res.status(204).send()
   } catch (error) {
-    console.error("Error deleting note:", error)
-    res.status(500).json({ error: "Failed to delete note" })
+    req.log.error("Error deleting note", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to delete note")
   }
 })
 
-// Batch sync endpoint (for syncing multiple operations at once)
-app.post("/api/sync", (req, res) => {
+// Revision history of a note, newest first
+app.get("/api/notes/:id/revisions", validators.note, (req, res) => {
   try {
-    const { operations } = req.body
-    const results = []
-
-    for (const op of operations) {
-      try {
-        let result
-        switch (op.type) {
-          case "create":
-            result = db.createNote({
-              content: op.content,
-              clientId: op.clientId,
-              created: op.created,
-              updated: op.updated,
-            })
-            results.push({ success: true, operation: op, result })
-            break
+    const revisions = db.getRevisions(req.user.id, req.params.id)
 
-          case "update":
-            result = db.updateNote(op.serverId, {
-              content: op.content,
-              updated: op.updated,
-            })
-            results.push({ success: true, operation: op, result })
-            break
-
-          case "delete":
-            db.deleteNote(op.serverId)
-            results.push({ success: true, operation: op })
-            break
-
-          default:
-            results.push({
-              success: false,
-              operation: op,
-              error: "Unknown operation",
-            })
+    if (!revisions) return noteNotFound(res)
+
+    res.json({ revisions })
+  } catch (error) {
+    req.log.error("Error fetching revisions", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch revisions")
+  }
+})
+
+// Restore a note from the trash
+app.post("/api/notes/:id/restore", validators.note, (req, res) => {
+  try {
+    const { id } = req.params
+    const note = db.restoreNote(req.user.id, id)
+
+    if (!note) return noteNotFound(res)
+
+    req.log.info("Restored note", { noteId: id })
+    noteChanged("restore", note, "api")
+    res.json(note)
+  } catch (error) {
+    req.log.error("Error restoring note", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to restore note")
+  }
+})
+
+// Export every live note, as JSON or as a zip of Markdown files
+app.get("/api/export", validators.exportNotes, async (req, res) => {
+  try {
+    const { format } = req.query
+    const date = new Date().toISOString().slice(0, 10)
+
+    const notes = db.exportNotes(req.user.id)
+    req.log.info("Exporting notes", { count: notes.length, format })
+
+    res.attachment(`notes-${date}.${format}`)
+    if (format === "zip") {
+      res.type("application/zip").send(await notesExport.toZip(notes))
+    } else {
+      res.json(notesExport.toJson(notes))
+    }
+  } catch (error) {
+    req.log.error("Error exporting notes", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to export notes")
+  }
+})
+
+// Import an export (JSON, or a zip of Markdown files). Notes whose clientId
+// already exists are skipped, so importing the same file twice is harmless.
+app.post("/api/import", async (req, res) => {
+  try {
+    const notes = Buffer.isBuffer(req.body)
+      ? await notesExport.fromZip(req.body)
+      : notesExport.fromJson(req.body)
+
+    const counts = { imported: 0, skipped: 0, invalid: 0 }
+    const created = []
+
+    db.transaction(() => {
+      for (const note of notes) {
+        const clientId = notesExport.importClientId(note)
+        const { value, problems } = check(
+          importedNote,
+          { ...note, clientId },
+          "note"
+        )
+
+        if (problems.length > 0) {
+          counts.invalid++
+        } else if (db.getNoteByClientId(req.user.id, clientId)) {
+          counts.skipped++
+        } else {
+          const cleaned = { ...note, ...value }
+          created.push(importNote(req.user.id, clientId, cleaned))
+          counts.imported++
         }
-      } catch (error) {
-        results.push({ success: false, operation: op, error: error.message })
       }
+    })
+
+    for (const note of created) noteChanged("create", note, "import")
+
+    req.log.info("Imported notes", counts)
+    res.json(counts)
+  } catch (error) {
+    if (error instanceof notesExport.ImportError) {
+      return sendError(res, 400, "INVALID_IMPORT", error.message)
+    }
+    req.log.error("Error importing notes", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to import notes")
+  }
+})
+
+// Imported timestamps are kept, so notes keep their place in the list
+function importNote(ownerId, clientId, note) {
+  const now = Date.now()
+
+  return db.createNote(ownerId, {
+    content: note.content,
+    clientId,
+    created: Number.isFinite(note.created) ? note.created : now,
+    updated: Number.isFinite(note.updated) ? note.updated : now,
+    tags: note.tags,
+    notebook: note.notebook,
+  })
+}
+
+// Batch sync endpoint (for syncing multiple operations at once).
+// The whole batch runs in one transaction; each operation gets its own
+// result so the client can tell which ones to retry.
+app.post("/api/sync", validators.sync, (req, res) => {
+  try {
+    const { operations } = req.body
+    metrics.syncBatchSize.observe({}, operations.length)
+
+    const results = db.transaction(() =>
+      operations.map((op) => applyOperation(req.user.id, op, req.log))
+    )
+
+    const failed = results.filter((result) => !result.success).length
+    req.log.info("Synced operations", { count: results.length, failed })
+
+    // Only announce changes once the batch has committed
+    for (const { success, operation, result, error } of results) {
+      const type = OPERATION_TYPES.includes(operation?.type)
+        ? operation.type
+        : "unknown"
+      metrics.syncOperations.inc({
+        type,
+        outcome: success ? "success" : error.code,
+      })
+
+      if (success && result) noteChanged(type, result, "sync")
     }
 
-    console.log(`Synced ${results.length} operations`)
     res.json({ results })
   } catch (error) {
-    console.error("Error in batch sync:", error)
-    res.status(500).json({ error: "Failed to sync" })
+    req.log.error("Error in batch sync", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to sync")
   }
 })
 
-// Health check
-app.get("/api/health", (req, res) => {
-  res.json({ status: "ok", timestamp: Date.now() })
-})
+// Each operation is checked on its own, so an invalid one fails without
+// the rest of the batch. Failures carry an error shaped like an error
+// response's (see errors.js).
+function applyOperation(ownerId, raw, log) {
+  const { value: op, problems } = check(syncOperation, raw, "operation")
+  if (problems.length > 0) {
+    return failedOperation(
+      raw,
+      "VALIDATION_FAILED",
+      describeProblems(problems),
+      problems
+    )
+  }
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
-╔════════════════════════════════════════╗
-║  Offline Notes Server Running          ║
-║                                        ║
-║  Local:  http://localhost:${PORT}        ║
-║  API:    http://localhost:${PORT}/api   ║
-║                                        ║
-║  To expose via ngrok:                  ║
-║  $ ngrok http ${PORT}                     ║
-╚════════════════════════════════════════╝
-  `)
+  try {
+    // A server ID of someone else's note (or one from before accounts)
+    // means nothing for this user. Unlike a purged note, which needs no
+    // more changes, the client has to create its own copy.
+    if (op.type !== "create" && ownedElsewhere(ownerId, op.serverId)) {
+      return failedOperation(raw, "NOT_FOUND", "Note not found")
+    }
+
+    switch (op.type) {
+      case "create": {
+        const result = db.createNote(ownerId, {
+          content: op.content,
+          clientId: op.clientId,
+          created: op.created || Date.now(),
+          updated: op.updated || Date.now(),
+          tags: op.tags,
+          notebook: op.notebook,
+        })
+        return { success: true, operation: raw, result }
+      }
+
+      case "update": {
+        // A missing note means it was purged from the trash - nothing to
+        // update. One still in the trash comes back as a conflict.
+        const id = resolveNoteId(ownerId, op)
+        const result = id
+          ? db.updateNote(ownerId, id, {
+              content: op.content,
+              updated: op.updated || Date.now(),
+              baseVersion: op.baseVersion,
+              tags: op.tags,
+              notebook: op.notebook,
+            })
+          : null
+        return { success: true, operation: raw, result }
+      }
+
+      case "delete": {
+        const id = resolveNoteId(ownerId, op)
+        const result = id ? db.deleteNote(ownerId, id) : null
+        return { success: true, operation: raw, result }
+      }
+
+      case "restore": {
+        const id = resolveNoteId(ownerId, op)
+        const result = id ? db.restoreNote(ownerId, id) : null
+        return { success: true, operation: raw, result }
+      }
+    }
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return failedOperation(raw, "VERSION_CONFLICT", error.message, {
+        note: error.current,
+      })
+    }
+
+    log.error("Error applying operation", { error })
+    return failedOperation(raw, "INTERNAL_ERROR", error.message)
+  }
+}
+
+function failedOperation(operation, code, message, details) {
+  return { success: false, operation, ...errorBody(code, message, details) }
+}
+
+function ownedElsewhere(ownerId, id) {
+  const note = id && db.getNote(id)
+  return Boolean(note) && note.ownerId !== ownerId
+}
+
+// Operations queued before their create finished may only know the clientId
+function resolveNoteId(ownerId, op) {
+  if (op.serverId) return op.serverId
+
+  const note = op.clientId && db.getNoteByClientId(ownerId, op.clientId)
+  return note ? note.id : null
+}
+
+// Pull changes made after a cursor (delta sync)
+app.get("/api/changes", validators.changes, (req, res) => {
+  try {
+    const { since, limit } = req.query
+
+    res.json(db.getChanges(req.user.id, since, limit))
+  } catch (error) {
+    req.log.error("Error fetching changes", { error })
+    sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch changes")
+  }
 })
+
+app.use("/api", notFound)
+app.use(errorHandler)
+
+// Trash retention - tombstones older than the retention period are purged.
+// Expired sessions are cleared out on the same schedule.
+function purgeTrash() {
+  try {
+    const cutoff = Date.now() - config.trashRetentionDays * 24 * 60 * 60 * 1000
+    const purged = db.purgeDeletedNotes(cutoff)
+    if (purged > 0) logger.info("Purged notes from the trash", { purged })
+
+    db.purgeExpiredSessions(Date.now())
+  } catch (error) {
+    logger.error("Error purging trash", { error })
+  }
+}
+
+// Notes from before accounts existed go to the account the operator names
+// in legacyNotesOwner. Once handed over, the setting has nothing to do.
+function assignLegacyNotes() {
+  try {
+    const legacy = db.countLegacyNotes()
+    if (legacy === 0) return
+
+    const owner =
+      config.legacyNotesOwner && db.getUserByUsername(config.legacyNotesOwner)
+    if (!owner) {
+      logger.warn(
+        "Notes from before accounts have no owner - set legacyNotesOwner " +
+          "to an existing username",
+        { notes: legacy, legacyNotesOwner: config.legacyNotesOwner }
+      )
+      return
+    }
+
+    const { claimed, clashing } = db.claimLegacyNotes(owner.id)
+    if (claimed > 0) {
+      logger.info("Handed notes from before accounts over", {
+        notes: claimed,
+        owner: owner.username,
+      })
+    }
+    if (clashing > 0) {
+      logger.warn(
+        "Notes from before accounts left without an owner - the owner " +
+          "already has notes with their clientIds",
+        { notes: clashing, owner: owner.username }
+      )
+    }
+  } catch (error) {
+    logger.error("Error handing over notes from before accounts", { error })
+  }
+}
+
+// Only when run directly - the tests require the app without starting it
+if (require.main === module) {
+  assignLegacyNotes()
+  purgeTrash()
+  setInterval(purgeTrash, PURGE_INTERVAL).unref()
+
+  if (!config.metricsToken) {
+    logger.info("Metrics are off - set metricsToken to serve /api/metrics")
+  }
+
+  app.listen(config.port, () => {
+    // Expose it with `ngrok http <port>`
+    logger.info("Offline Notes server running", {
+      url: `http://localhost:${config.port}`,
+      apiUrl: `http://localhost:${config.port}/api`,
+    })
+  })
+}
+
+module.exports = app
@@ -0,0 +1,36 @@
+// Asset manifest for the service worker. Every file the page needs offline
+// is listed with a hash of its contents; the worker imports the manifest,
+// so changing any asset changes the worker and triggers an update.
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+
+// Served by app.js rather than read from disk, and never precached
+const EXCLUDED = new Set(["sw.js", "asset-manifest.js", ".gitignore"])
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex").slice(0, 12)
+}
+
+// { version, assets: { "/index.css": "<hash>", ... } }. The version is a
+// hash of all the others, and "/" stands in for index.html.
+function buildAssetManifest(dir) {
+  const assets = {}
+
+  for (const name of fs.readdirSync(dir).sort()) {
+    const file = path.join(dir, name)
+    if (EXCLUDED.has(name) || !fs.statSync(file).isFile()) continue
+
+    assets[`/${name}`] = hashContent(fs.readFileSync(file))
+  }
+  if (assets["/index.html"]) assets["/"] = assets["/index.html"]
+
+  return { version: hashContent(JSON.stringify(assets)), assets }
+}
+
+// The manifest as a script for importScripts()
+function manifestScript(manifest) {
+  return `self.ASSET_MANIFEST = ${JSON.stringify(manifest, null, 2)}\n`
+}
+
+module.exports = { buildAssetManifest, manifestScript }
@@ -0,0 +1,89 @@
+// Accounts - password hashing, session tokens and the auth middleware
+const crypto = require("crypto")
+const { promisify } = require("util")
+const { sendError } = require("./errors")
+
+const scrypt = promisify(crypto.scrypt)
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000 // Sessions last 30 days
+const KEY_LENGTH = 64
+
+// Stored as "salt:hash", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex")
+  const hash = await scrypt(password, salt, KEY_LENGTH)
+  return `${salt}:${hash.toString("hex")}`
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(":")
+  const expected = Buffer.from(hash, "hex")
+  const actual = await scrypt(password, salt, KEY_LENGTH)
+  return crypto.timingSafeEqual(expected, actual)
+}
+
+// Only a hash of each token is stored, so a leaked database can't be used
+// to sign in
+function createToken() {
+  return crypto.randomBytes(32).toString("hex")
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// EventSource can't send headers, so the event stream passes the token in
+// the query instead. Only routes that ask for it take it from there.
+function readToken(req, { query = false } = {}) {
+  const header = req.get("Authorization") || ""
+  if (header.startsWith("Bearer ")) return header.slice(7)
+
+  return (query && req.query.token) || null
+}
+
+// Rejects requests without a valid session and sets req.user and
+// req.session ({ tokenHash, expires }) otherwise
+function requireAuth(db, { queryToken = false } = {}) {
+  return (req, res, next) => {
+    const token = readToken(req, { query: queryToken })
+    const tokenHash = token && hashToken(token)
+    const session = tokenHash && db.getSession(tokenHash)
+
+    if (!session) {
+      return sendError(res, 401, "UNAUTHORIZED", "Authentication required")
+    }
+
+    req.user = session.user
+    req.session = { tokenHash, expires: session.expires }
+    next()
+  }
+}
+
+// For machines given a fixed token in the config, e.g. a metrics scraper
+function requireConfiguredToken(expected) {
+  if (!expected) throw new Error("A token has to be configured")
+  const expectedHash = Buffer.from(hashToken(expected), "hex")
+
+  return (req, res, next) => {
+    // Hashed so both sides have the same length to compare in constant time
+    const token = readToken(req)
+    const valid =
+      token &&
+      crypto.timingSafeEqual(expectedHash, Buffer.from(hashToken(token), "hex"))
+
+    if (!valid) {
+      return sendError(res, 401, "UNAUTHORIZED", "Authentication required")
+    }
+    next()
+  }
+}
+
+module.exports = {
+  SESSION_TTL,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  hashToken,
+  requireAuth,
+  requireConfiguredToken,
+}
@@ -0,0 +1,76 @@
+// Server configuration. Each setting comes from its environment variable,
+// else from config.json (or the file named by CONFIG_FILE), else the
+// default below.
+const fs = require("fs")
+const path = require("path")
+const { LEVELS } = require("./logger")
+
+const DEFAULTS = {
+  port: 3000,
+  dbPath: "notes.db", // Relative paths are resolved from this directory
+  publicApiUrl: null, // Where clients reach the API; null means same origin
+  trashRetentionDays: 30,
+  importLimit: "10mb",
+  logLevel: "info", // debug, info, warn, error or silent
+  metricsToken: null, // Bearer token for /api/metrics; null turns it off
+  legacyNotesOwner: null, // Username given the notes from before accounts
+}
+
+const ENV_NAMES = {
+  port: "PORT",
+  dbPath: "DB_PATH",
+  publicApiUrl: "PUBLIC_API_URL",
+  trashRetentionDays: "TRASH_RETENTION_DAYS",
+  importLimit: "IMPORT_LIMIT",
+  logLevel: "LOG_LEVEL",
+  metricsToken: "METRICS_TOKEN",
+  legacyNotesOwner: "LEGACY_NOTES_OWNER",
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file not found: ${file}`)
+    return {}
+  }
+
+  const values = JSON.parse(fs.readFileSync(file, "utf8"))
+  for (const key of Object.keys(values)) {
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown setting in ${file}: ${key}`)
+    }
+  }
+  return values
+}
+
+function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE || path.join(__dirname, "config.json")
+  const config = { ...DEFAULTS, ...readConfigFile(file, !!env.CONFIG_FILE) }
+
+  for (const [key, name] of Object.entries(ENV_NAMES)) {
+    if (env[name] !== undefined && env[name] !== "") config[key] = env[name]
+  }
+
+  config.port = Number(config.port)
+  config.trashRetentionDays = Number(config.trashRetentionDays)
+  // ":memory:" is SQLite's in-memory database, not a file
+  if (config.dbPath !== ":memory:") {
+    config.dbPath = path.resolve(__dirname, config.dbPath)
+  }
+  if (config.publicApiUrl) {
+    config.publicApiUrl = String(config.publicApiUrl).replace(/\/+$/, "")
+  }
+
+  if (!Number.isInteger(config.port) || config.port < 0) {
+    throw new Error(`Invalid port: ${config.port}`)
+  }
+  if (!(config.trashRetentionDays > 0)) {
+    throw new Error(`Invalid trashRetentionDays: ${config.trashRetentionDays}`)
+  }
+  if (!(config.logLevel in LEVELS)) {
+    throw new Error(`Invalid logLevel: ${config.logLevel}`)
+  }
+
+  return Object.freeze(config)
+}
+
+module.exports = { loadConfig }
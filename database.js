@@ -1,62 +1,676 @@
 const Database = require("better-sqlite3")
 const path = require("path")
+const { noteTags, explicitTags, normalizeNotebook } = require("./public/tags")
+const { ENCRYPTED_PREFIX, isEncrypted } = require("./public/crypto")
+const migrations = require("./migrations")
+const logger = require("./logger")
+
+// Thrown when an update was based on a version older than the stored one
+class VersionConflictError extends Error {
+  constructor(current) {
+    super(`Note ${current.id} is at version ${current.version}`)
+    this.name = "VersionConflictError"
+    this.current = current
+  }
+}
+
+// Builds an FTS5 MATCH expression from parsed search terms. Every term is
+// quoted, so nothing typed into the search box is read as FTS5 syntax.
+// Returns null when there is no term to look for.
+function toFtsQuery(terms) {
+  const phrase = (term) => `"${term.words.join(" ")}"${term.prefix ? "*" : ""}`
+  const include = terms.filter((term) => !term.negated).map(phrase)
+  const exclude = terms.filter((term) => term.negated).map(phrase)
+
+  if (include.length === 0) return null
+  return [`(${include.join(" AND ")})`, ...exclude].join(" NOT ")
+}
+
+const SORT_COLUMNS = ["updated", "created", "title"]
+const DEFAULT_ORDER = { updated: "desc", created: "desc", title: "asc" }
+
+// A note's title is its first line, minus any Markdown heading marks.
+// Encrypted notes have none we can read.
+function noteTitle(content) {
+  if (isEncrypted(content)) return ""
+
+  const line = content.split("\n").find((text) => text.trim()) || ""
+  return line
+    .replace(/^\s*#{1,6}\s+/, "")
+    .trim()
+    .slice(0, 200)
+}
+
+// Page cursors are opaque to clients: the sort value and id of the last
+// note on the page
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString("base64url")
+}
+
+// Returns null for anything that isn't a cursor we handed out
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString())
+    const valid =
+      Array.isArray(values) &&
+      values.length === 2 &&
+      ["number", "string"].includes(typeof values[0]) &&
+      Number.isInteger(values[1])
+    return valid ? values : null
+  } catch {
+    return null
+  }
+}
 
 class NotesDatabase {
-  constructor() {
-    this.db = new Database(path.join(__dirname, "notes.db"))
-    this.init()
+  constructor(filename = path.join(__dirname, "notes.db")) {
+    this.db = new Database(filename)
+    this.migrate()
   }
 
-  init() {
-    // Create notes table
+  // Runs the migrations this database hasn't had yet (see migrations.js),
+  // each in its own transaction
+  migrate() {
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS notes (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        content TEXT NOT NULL,
-        clientId TEXT,
-        created INTEGER NOT NULL,
-        updated INTEGER NOT NULL
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied INTEGER NOT NULL
       )
     `)
 
-    console.log("Database initialized")
+    const current = this.db
+      .prepare("SELECT COALESCE(MAX(version), 0) FROM schema_migrations")
+      .pluck()
+      .get()
+    const latest = migrations[migrations.length - 1].version
+
+    // Written by a newer server - running old code against it isn't safe
+    if (current > latest) {
+      throw new Error(
+        `Database schema ${current} is newer than this server's (${latest})`
+      )
+    }
+
+    const record = this.db.prepare(`
+      INSERT INTO schema_migrations (version, name, applied) VALUES (?, ?, ?)
+    `)
+
+    for (const migration of migrations) {
+      if (migration.version <= current) continue
+
+      this.db.transaction(() => {
+        migration.up(this)
+        record.run(migration.version, migration.name, Date.now())
+      })()
+      logger.info("Migrated database", {
+        version: migration.version,
+        name: migration.name,
+      })
+    }
+
+    logger.info("Database initialized", { version: latest })
+  }
+
+  // Returns the names of the columns it added
+  addMissingColumns(table, definitions) {
+    const columns = this.db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map((column) => column.name)
+
+    const added = []
+    for (const [column, definition] of Object.entries(definitions)) {
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+        added.push(column)
+      }
+    }
+    return added
+  }
+
+  backfillTags() {
+    const notes = this.db.prepare("SELECT id, content FROM notes").all()
+    const stmt = this.db.prepare("UPDATE notes SET tags = ? WHERE id = ?")
+
+    this.db.transaction(() => {
+      for (const note of notes) {
+        stmt.run(JSON.stringify(noteTags(note.content)), note.id)
+      }
+    })()
   }
 
-  getAllNotes() {
-    const stmt = this.db.prepare("SELECT * FROM notes ORDER BY updated DESC")
-    return stmt.all()
+  backfillTitles() {
+    const notes = this.db.prepare("SELECT id, content FROM notes").all()
+    const stmt = this.db.prepare("UPDATE notes SET title = ? WHERE id = ?")
+
+    this.db.transaction(() => {
+      for (const note of notes) stmt.run(noteTitle(note.content), note.id)
+    })()
+  }
+
+  // Rows keep tags as JSON text
+  parseNote(row) {
+    return row ? { ...row, tags: JSON.parse(row.tags) } : row
+  }
+
+  // Users
+
+  createUser(username, passwordHash) {
+    const stmt = this.db.prepare(`
+      INSERT INTO users (username, passwordHash, created)
+      VALUES (?, ?, ?)
+    `)
+    const info = stmt.run(username, passwordHash, Date.now())
+
+    return this.db
+      .prepare("SELECT id, username, created FROM users WHERE id = ?")
+      .get(info.lastInsertRowid)
   }
 
+  // Notes written before accounts existed have no owner, and nobody sees
+  // them until the operator hands them to someone (see legacyNotesOwner
+  // in config.js)
+  countLegacyNotes() {
+    return this.db
+      .prepare("SELECT COUNT(*) FROM notes WHERE ownerId IS NULL")
+      .pluck()
+      .get()
+  }
+
+  // A note whose clientId the owner already has stays where it is: that's
+  // most likely the owner's own copy of it, created since the upgrade (see
+  // applyOperation in app.js). Each note handed over is announced again,
+  // for devices that pulled its old changes before it was theirs. Returns
+  // { claimed, clashing }.
+  claimLegacyNotes(ownerId) {
+    const legacy = this.db
+      .prepare("SELECT id FROM notes WHERE ownerId IS NULL")
+      .pluck()
+      .all()
+    const claim = this.db.prepare(
+      "UPDATE OR IGNORE notes SET ownerId = ? WHERE id = ?"
+    )
+    const claimChanges = this.db.prepare(
+      "UPDATE note_changes SET ownerId = ? WHERE noteId = ? AND ownerId IS NULL"
+    )
+
+    return this.db.transaction(() => {
+      let claimed = 0
+      for (const id of legacy) {
+        if (claim.run(ownerId, id).changes === 0) continue
+
+        claimChanges.run(ownerId, id)
+        this.recordChange(this.getNote(id), "upsert")
+        claimed++
+      }
+      return { claimed, clashing: legacy.length - claimed }
+    })()
+  }
+
+  getUserByUsername(username) {
+    const stmt = this.db.prepare("SELECT * FROM users WHERE username = ?")
+    return stmt.get(username)
+  }
+
+  createSession(tokenHash, userId, expires) {
+    const stmt = this.db.prepare(`
+      INSERT INTO sessions (tokenHash, userId, created, expires)
+      VALUES (?, ?, ?, ?)
+    `)
+    stmt.run(tokenHash, userId, Date.now(), expires)
+  }
+
+  // Returns a live session as { user, expires }, or undefined
+  getSession(tokenHash) {
+    const stmt = this.db.prepare(`
+      SELECT u.id, u.username, s.expires FROM sessions s
+      JOIN users u ON u.id = s.userId
+      WHERE s.tokenHash = ? AND s.expires > ?
+    `)
+    const row = stmt.get(tokenHash, Date.now())
+    if (!row) return undefined
+
+    return {
+      user: { id: row.id, username: row.username },
+      expires: row.expires,
+    }
+  }
+
+  // The user's key settings for encrypted notes (see public/crypto.js), or
+  // null when they don't encrypt
+  getEncryption(userId) {
+    const row = this.db
+      .prepare("SELECT encryption FROM users WHERE id = ?")
+      .get(userId)
+    return row && row.encryption ? JSON.parse(row.encryption) : null
+  }
+
+  // Only replaces the settings of the key the client knows about
+  // (previousKeyId, null for none), so two devices can't each switch to a
+  // key of their own. Returns false when another key is set.
+  setEncryption(userId, settings, previousKeyId) {
+    const stmt = this.db.prepare(
+      "UPDATE users SET encryption = ? WHERE id = ?"
+    )
+
+    return this.db.transaction(() => {
+      const current = this.getEncryption(userId)
+      if ((current ? current.keyId : null) !== previousKeyId) return false
+
+      stmt.run(settings ? JSON.stringify(settings) : null, userId)
+      return true
+    })()
+  }
+
+  deleteSession(tokenHash) {
+    const stmt = this.db.prepare("DELETE FROM sessions WHERE tokenHash = ?")
+    stmt.run(tokenHash)
+  }
+
+  purgeExpiredSessions(now) {
+    const stmt = this.db.prepare("DELETE FROM sessions WHERE expires <= ?")
+    return stmt.run(now).changes
+  }
+
+  // Notes - every method takes the owner's user id and only sees their notes
+
+  // One page of live notes, sorted by a column in SORT_COLUMNS and
+  // optionally filtered. `after` is the decoded cursor of the previous
+  // page. Resolves with { notes, nextCursor }, where nextCursor is null on
+  // the last page.
+  getAllNotes(
+    ownerId,
+    {
+      tag,
+      notebook,
+      updatedAfter,
+      createdBefore,
+      sort = "updated",
+      order = DEFAULT_ORDER[sort],
+      limit = 50,
+      after,
+    } = {}
+  ) {
+    if (!SORT_COLUMNS.includes(sort)) throw new Error(`Unknown sort: ${sort}`)
+
+    // Keyset pagination - continue strictly past the last row we returned
+    const direction = order === "asc" ? "ASC" : "DESC"
+    const compare = order === "asc" ? ">" : "<"
+
+    const stmt = this.db.prepare(`
+      SELECT * FROM notes
+      WHERE ownerId = @ownerId AND deleted IS NULL
+        AND (@tag IS NULL
+          OR EXISTS (SELECT 1 FROM json_each(notes.tags) WHERE value = @tag))
+        AND (@notebook IS NULL OR notebook = @notebook)
+        AND (@updatedAfter IS NULL OR updated > @updatedAfter)
+        AND (@createdBefore IS NULL OR created < @createdBefore)
+        AND (@afterId IS NULL
+          OR ${sort} ${compare} @afterValue
+          OR (${sort} = @afterValue AND id ${compare} @afterId))
+      ORDER BY ${sort} ${direction}, id ${direction}
+      LIMIT @limit
+    `)
+
+    // Fetch one extra row to know whether another page follows
+    const rows = stmt.all({
+      ownerId,
+      tag: tag || null,
+      notebook: notebook || null,
+      updatedAfter: updatedAfter ?? null,
+      createdBefore: createdBefore ?? null,
+      afterValue: after ? after[0] : null,
+      afterId: after ? after[1] : null,
+      limit: limit + 1,
+    })
+
+    const hasMore = rows.length > limit
+    const notes = (hasMore ? rows.slice(0, limit) : rows).map(this.parseNote)
+    const last = notes[notes.length - 1]
+
+    return {
+      notes,
+      nextCursor: hasMore ? encodeCursor([last[sort], last.id]) : null,
+    }
+  }
+
+  // Every live note, oldest first, for exports
+  exportNotes(ownerId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM notes
+      WHERE ownerId = ? AND deleted IS NULL
+      ORDER BY created, id
+    `)
+    return stmt.all(ownerId).map(this.parseNote)
+  }
+
+  // Unscoped - only for notes already known to belong to the caller
   getNote(id) {
     const stmt = this.db.prepare("SELECT * FROM notes WHERE id = ?")
-    return stmt.get(id)
+    return this.parseNote(stmt.get(id))
+  }
+
+  getNoteByClientId(ownerId, clientId) {
+    const stmt = this.db.prepare(
+      "SELECT * FROM notes WHERE ownerId IS ? AND clientId = ?"
+    )
+    return this.parseNote(stmt.get(ownerId, clientId))
   }
 
-  createNote({ content, clientId, created, updated }) {
+  // Creating a note whose clientId already exists returns the existing
+  // note, so a retried create never produces a duplicate. Hashtags in the
+  // content are added to the given tags.
+  createNote(
+    ownerId,
+    { content, clientId, created, updated, tags = [], notebook }
+  ) {
+    if (clientId) {
+      const existing = this.getNoteByClientId(ownerId, clientId)
+      if (existing) return existing
+    }
+
     const stmt = this.db.prepare(`
-      INSERT INTO notes (content, clientId, created, updated)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO notes
+        (content, clientId, ownerId, created, updated, tags, notebook, title)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `)
 
-    const info = stmt.run(content, clientId || null, created, updated)
-    return this.getNote(info.lastInsertRowid)
+    return this.db.transaction(() => {
+      const info = stmt.run(
+        content,
+        clientId || null,
+        ownerId,
+        created,
+        updated,
+        JSON.stringify(noteTags(content, tags)),
+        normalizeNotebook(notebook),
+        noteTitle(content)
+      )
+      const note = this.getNote(info.lastInsertRowid)
+      this.recordChange(note, "upsert")
+      return note
+    })()
   }
 
-  updateNote(id, { content, updated }) {
+  // When baseVersion is given, the update only applies if the note has not
+  // changed since that version; otherwise a VersionConflictError is thrown.
+  // Deleting a note changes its version too, so an edit made before the
+  // delete comes back as a conflict with the tombstone. A note in the trash
+  // can only be updated by a client that knows it's there (its version).
+  // Leaving out tags or notebook keeps the current ones.
+  updateNote(ownerId, id, { content, updated, baseVersion, tags, notebook }) {
     const stmt = this.db.prepare(`
       UPDATE notes 
-      SET content = ?, updated = ?
+      SET content = ?, updated = ?, tags = ?, notebook = ?, title = ?,
+          version = version + 1
       WHERE id = ?
     `)
 
-    const info = stmt.run(content, updated, id)
-    return info.changes > 0 ? this.getNote(id) : null
+    return this.db.transaction(() => {
+      const current = this.getNote(id)
+      if (!current || current.ownerId !== ownerId) return null
+
+      if (baseVersion != null && baseVersion !== current.version) {
+        throw new VersionConflictError(current)
+      }
+      if (current.deleted && baseVersion == null) return null
+
+      // Once a note is encrypted its plain text history has to go too
+      if (isEncrypted(content) && !isEncrypted(current.content)) {
+        this.deleteRevisions(id)
+      } else {
+        this.recordRevision(current)
+      }
+      stmt.run(
+        content,
+        updated,
+        JSON.stringify(noteTags(content, tags || explicitTags(current))),
+        notebook === undefined ? current.notebook : normalizeNotebook(notebook),
+        noteTitle(content),
+        id
+      )
+
+      const note = this.getNote(id)
+      this.recordChange(note, "upsert")
+      return note
+    })()
+  }
+
+  // Moves a note to the trash by stamping it with a deletion time (a
+  // tombstone) so other devices learn about it. Returns the tombstone, or
+  // null if there was no live note.
+  deleteNote(ownerId, id) {
+    const stmt = this.db.prepare(`
+      UPDATE notes
+      SET deleted = ?, version = version + 1
+      WHERE id = ? AND ownerId = ? AND deleted IS NULL
+    `)
+
+    return this.db.transaction(() => {
+      const info = stmt.run(Date.now(), id, ownerId)
+      if (info.changes === 0) return null
+
+      const note = this.getNote(id)
+      this.recordChange(note, "delete")
+      return note
+    })()
+  }
+
+  // Brings a note back from the trash. Restoring a live note is a no-op.
+  restoreNote(ownerId, id) {
+    const stmt = this.db.prepare(`
+      UPDATE notes
+      SET deleted = NULL, version = version + 1
+      WHERE id = ? AND ownerId = ? AND deleted IS NOT NULL
+    `)
+
+    return this.db.transaction(() => {
+      const info = stmt.run(id, ownerId)
+      const note = this.getNote(id)
+      if (!note || note.ownerId !== ownerId) return null
+
+      if (info.changes > 0) this.recordChange(note, "upsert")
+      return note
+    })()
+  }
+
+  recordRevision(note) {
+    const stmt = this.db.prepare(`
+      INSERT INTO note_revisions (noteId, version, content, updated)
+      VALUES (?, ?, ?, ?)
+    `)
+    stmt.run(note.id, note.version, note.content, note.updated)
+  }
+
+  deleteRevisions(noteId) {
+    const stmt = this.db.prepare("DELETE FROM note_revisions WHERE noteId = ?")
+    stmt.run(noteId)
+  }
+
+  // Live notes matching parsed search terms (see public/search.js), best
+  // matches first. Encrypted notes can only be searched by the client.
+  searchNotes(ownerId, terms, limit) {
+    const match = toFtsQuery(terms)
+    if (!match) return []
+
+    const stmt = this.db.prepare(`
+      SELECT n.* FROM notes_fts
+      JOIN notes n ON n.id = notes_fts.rowid
+      WHERE notes_fts MATCH ? AND n.ownerId = ? AND n.deleted IS NULL
+        AND n.content NOT LIKE ?
+      ORDER BY bm25(notes_fts)
+      LIMIT ?
+    `)
+    return stmt
+      .all(match, ownerId, `${ENCRYPTED_PREFIX}%`, limit)
+      .map(this.parseNote)
+  }
+
+  // Returns the note's current state followed by its earlier revisions,
+  // newest first, or null if the note doesn't exist
+  getRevisions(ownerId, id) {
+    const note = this.getNote(id)
+    if (!note || note.ownerId !== ownerId) return null
+
+    const stmt = this.db.prepare(`
+      SELECT version, content, updated FROM note_revisions
+      WHERE noteId = ?
+      ORDER BY version DESC
+    `)
+
+    const current = {
+      version: note.version,
+      content: note.content,
+      updated: note.updated,
+    }
+
+    // Saving unchanged content still bumps the version - skip revisions
+    // identical to the next newer one
+    return [current, ...stmt.all(id)].filter(
+      (revision, i, all) => i === 0 || revision.content !== all[i - 1].content
+    )
   }
 
-  deleteNote(id) {
+  // Hard-deletes tombstones older than the cutoff. Each one gets a purge
+  // entry in the change log so clients drop it from their trash as well.
+  purgeDeletedNotes(cutoff) {
+    const expired = this.db
+      .prepare("SELECT id, clientId, ownerId FROM notes WHERE deleted < ?")
+      .all(cutoff)
+
     const stmt = this.db.prepare("DELETE FROM notes WHERE id = ?")
-    const info = stmt.run(id)
-    return info.changes > 0
+    const revisionsStmt = this.db.prepare(
+      "DELETE FROM note_revisions WHERE noteId = ?"
+    )
+
+    this.db.transaction(() => {
+      for (const note of expired) {
+        stmt.run(note.id)
+        revisionsStmt.run(note.id)
+        this.recordChange(note, "purge")
+      }
+    })()
+
+    return expired.length
+  }
+
+  // Older databases may hold several rows per owner and clientId from
+  // retried creates.
+  // Keep the most recently updated one and drop the rest along with their
+  // change log entries, then re-announce the survivor so clients holding a
+  // stale server id pick up the right one.
+  collapseDuplicateNotes() {
+    const duplicates = this.db
+      .prepare(`
+        SELECT id, clientId, ownerId FROM notes n
+        WHERE clientId IS NOT NULL
+          AND id != (
+            SELECT id FROM notes
+            WHERE clientId = n.clientId AND ownerId IS n.ownerId
+            ORDER BY updated DESC, id DESC
+            LIMIT 1
+          )
+      `)
+      .all()
+
+    if (duplicates.length === 0) return
+
+    const deleteNote = this.db.prepare("DELETE FROM notes WHERE id = ?")
+    const deleteChanges = this.db.prepare(
+      "DELETE FROM note_changes WHERE noteId = ?"
+    )
+    // Only the columns every schema has - this runs from a migration
+    const getSurvivor = this.db.prepare(`
+      SELECT id, clientId, ownerId FROM notes
+      WHERE ownerId IS ? AND clientId = ?
+    `)
+
+    this.db.transaction(() => {
+      for (const { id } of duplicates) {
+        deleteNote.run(id)
+        deleteChanges.run(id)
+      }
+
+      const survivors = new Map(
+        duplicates.map((row) => [`${row.ownerId}:${row.clientId}`, row])
+      )
+      for (const { ownerId, clientId } of survivors.values()) {
+        this.recordChange(getSurvivor.get(ownerId, clientId), "upsert")
+      }
+    })()
+
+    logger.info("Collapsed duplicate notes", { count: duplicates.length })
+  }
+
+  recordChange(note, type) {
+    const stmt = this.db.prepare(`
+      INSERT INTO note_changes (noteId, clientId, ownerId, type, timestamp)
+      VALUES (?, ?, ?, ?, ?)
+    `)
+    stmt.run(note.id, note.clientId || null, note.ownerId, type, Date.now())
+  }
+
+  // Returns the latest change per note after the given sequence number.
+  // Older changes to the same note are skipped since the newest one
+  // already describes its current state.
+  getChanges(ownerId, since, limit) {
+    const stmt = this.db.prepare(`
+      SELECT c.seq, c.type, c.noteId, c.clientId, n.id AS rowId,
+             n.content, n.created, n.updated, n.version, n.deleted,
+             n.tags, n.notebook
+      FROM note_changes c
+      LEFT JOIN notes n ON n.id = c.noteId
+      WHERE c.ownerId = ? AND c.seq > ?
+        AND c.seq = (SELECT MAX(seq) FROM note_changes WHERE noteId = c.noteId)
+      ORDER BY c.seq
+      LIMIT ?
+    `)
+
+    // Fetch one extra row to know whether another page follows
+    const rows = stmt.all(ownerId, since, limit + 1)
+    const hasMore = rows.length > limit
+    const page = hasMore ? rows.slice(0, limit) : rows
+
+    const changes = page.map((row) => {
+      // The row is gone for good - purged from the trash, or hard-deleted
+      // before the trash existed
+      if (row.rowId === null) {
+        return {
+          seq: row.seq,
+          type: "purge",
+          note: { id: row.noteId, clientId: row.clientId },
+        }
+      }
+
+      return {
+        seq: row.seq,
+        type: row.type,
+        note: {
+          id: row.noteId,
+          clientId: row.clientId,
+          content: row.content,
+          created: row.created,
+          updated: row.updated,
+          version: row.version,
+          deleted: row.deleted,
+          tags: JSON.parse(row.tags),
+          notebook: row.notebook,
+        },
+      }
+    })
+
+    return {
+      changes,
+      cursor: page.length > 0 ? page[page.length - 1].seq : since,
+      hasMore,
+    }
+  }
+
+  // Run several calls as one atomic unit. Nested calls become savepoints,
+  // so a failing note operation only rolls back its own writes.
+  transaction(fn) {
+    return this.db.transaction(fn)()
   }
 
   close() {
@@ -65,3 +679,6 @@ class NotesDatabase {
 }
 
 module.exports = NotesDatabase
+module.exports.VersionConflictError = VersionConflictError
+module.exports.SORT_COLUMNS = SORT_COLUMNS
+module.exports.decodeCursor = decodeCursor
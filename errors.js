@@ -0,0 +1,49 @@
+// Error responses. Every API error has the same shape:
+//
+//   { error: { code, message, details } }
+//
+// Clients branch on the code; the message is for people and details (when
+// there are any) say what exactly was wrong. INTERNAL_ERROR is the only
+// code worth retrying - the rest fail the same way every time.
+const metrics = require("./metrics")
+
+function errorBody(code, message, details) {
+  return { error: { code, message, ...(details !== undefined && { details }) } }
+}
+
+function sendError(res, status, code, message, details) {
+  metrics.httpErrors.inc({ code })
+  return res.status(status).json(errorBody(code, message, details))
+}
+
+// For /api routes nothing else matched
+function notFound(req, res) {
+  sendError(res, 404, "NOT_FOUND", `No route for ${req.method} ${req.path}`)
+}
+
+// Errors thrown by middleware, mostly the body parsers
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error)
+
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, 400, "INVALID_JSON", "Request body isn't valid JSON")
+  }
+  if (error.type === "entity.too.large") {
+    return sendError(
+      res,
+      413,
+      "PAYLOAD_TOO_LARGE",
+      `Request body is over the ${error.limit} byte limit`
+    )
+  }
+
+  // Anything else the parsers reject, e.g. an unsupported charset
+  if (error.status >= 400 && error.status < 500) {
+    return sendError(res, error.status, "BAD_REQUEST", error.message)
+  }
+
+  req.log.error("Unhandled error", { error })
+  sendError(res, 500, "INTERNAL_ERROR", "Something went wrong")
+}
+
+module.exports = { errorBody, sendError, notFound, errorHandler }
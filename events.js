@@ -0,0 +1,50 @@
+// Server-Sent Events - pushes note changes to their owner's open clients
+const HEARTBEAT_INTERVAL = 25000 // Keeps proxies from closing idle streams
+
+const subscribers = new Map() // response -> { userId, tokenHash }
+
+// Expects req.user and req.session from the auth middleware. A stream
+// lasts no longer than the session it was opened with: it's closed at
+// the first heartbeat after the session expires, or on sign out (see
+// closeSession).
+function subscribe(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  })
+  res.write(": connected\n\n")
+
+  const { tokenHash, expires } = req.session
+  subscribers.set(res, { userId: req.user.id, tokenHash })
+
+  const heartbeat = setInterval(() => {
+    if (Date.now() >= expires) return res.end()
+    res.write(": ping\n\n")
+  }, HEARTBEAT_INTERVAL)
+
+  const unsubscribe = () => {
+    clearInterval(heartbeat)
+    subscribers.delete(res)
+  }
+  req.on("close", unsubscribe)
+  res.on("finish", unsubscribe)
+}
+
+// event is "created", "updated", "deleted" or "restored"
+function broadcast(event, note) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(note)}\n\n`
+
+  for (const [res, { userId }] of subscribers) {
+    if (userId === note.ownerId) res.write(message)
+  }
+}
+
+// Ends the streams opened with a session that has been signed out
+function closeSession(tokenHash) {
+  for (const [res, subscriber] of subscribers) {
+    if (subscriber.tokenHash === tokenHash) res.end()
+  }
+}
+
+module.exports = { subscribe, broadcast, closeSession }
@@ -0,0 +1,193 @@
+// Export and import formats. JSON is the full-fidelity format; the zip
+// holds one Markdown file per note, with its metadata in front-matter and
+// notebooks as folders, and can be imported again.
+const crypto = require("crypto")
+const JSZip = require("jszip")
+
+const EXPORT_VERSION = 1
+// Uncompressed bytes read out of an imported zip. The upload limit only
+// caps the compressed size, which a zip bomb keeps tiny.
+const MAX_UNZIPPED_SIZE = 50 * 1024 * 1024
+const FRONT_MATTER = /^---\n([\s\S]*?)\n---\n/
+
+// Thrown for uploads that can't be read as notes at all
+class ImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ImportError"
+  }
+}
+
+function toJson(notes) {
+  return {
+    version: EXPORT_VERSION,
+    exported: new Date().toISOString(),
+    notes: notes.map(exportedNote),
+  }
+}
+
+function exportedNote(note) {
+  return {
+    clientId: note.clientId || undefined,
+    content: note.content,
+    created: note.created,
+    updated: note.updated,
+    tags: note.tags,
+    notebook: note.notebook || undefined,
+  }
+}
+
+async function toZip(notes) {
+  const zip = new JSZip()
+  const used = new Set()
+
+  for (const note of notes) {
+    const folder = note.notebook ? `${fileName(note.notebook)}/` : ""
+    const base = folder + (fileName(note.title) || "note")
+
+    let name = `${base}.md`
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}.md`
+    used.add(name.toLowerCase())
+
+    zip.file(name, toMarkdown(note), { date: new Date(note.updated) })
+  }
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" })
+}
+
+// Values are written as JSON, which is also valid YAML
+function toMarkdown(note) {
+  const fields = {
+    clientId: note.clientId,
+    created: new Date(note.created).toISOString(),
+    updated: new Date(note.updated).toISOString(),
+    tags: note.tags,
+    notebook: note.notebook,
+  }
+
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+
+  return `---\n${lines.join("\n")}\n---\n${note.content}`
+}
+
+function fileName(text) {
+  return String(text || "")
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, "-")
+    .replace(/^[\s.-]+|[\s.]+$/g, "")
+    .slice(0, 80)
+}
+
+// Accepts what toJson() writes, or a bare list of notes
+function fromJson(body) {
+  const notes = Array.isArray(body) ? body : body && body.notes
+  if (!Array.isArray(notes)) throw new ImportError("Expected a list of notes")
+
+  return notes.map((note) => (note && typeof note === "object" ? note : {}))
+}
+
+async function fromZip(buffer) {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(buffer)
+  } catch {
+    throw new ImportError("Invalid zip file")
+  }
+
+  const files = Object.values(zip.files).filter(
+    (file) => !file.dir && /\.(md|markdown|txt)$/i.test(file.name)
+  )
+
+  // One file at a time, so the size limit covers them all
+  const notes = []
+  const budget = { remaining: MAX_UNZIPPED_SIZE }
+  for (const file of files) {
+    const folders = file.name.split("/").slice(0, -1)
+    const note = fromMarkdown(await readLimited(file, budget))
+
+    notes.push({ notebook: folders[folders.length - 1], ...note })
+  }
+  return notes
+}
+
+// Decompresses a file while counting its bytes against the budget, and
+// stops as soon as it runs out rather than after filling memory
+function readLimited(file, budget) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    let stopped = false
+
+    const stream = file.internalStream("uint8array")
+    stream
+      .on("data", (chunk) => {
+        if (stopped) return
+
+        size += chunk.length
+        if (size > budget.remaining) {
+          stopped = true
+          stream.pause()
+          reject(new ImportError("Zip file is too large once unpacked"))
+          return
+        }
+        chunks.push(chunk)
+      })
+      .on("error", (error) => reject(error))
+      .on("end", () => {
+        budget.remaining -= size
+        resolve(Buffer.concat(chunks).toString("utf8"))
+      })
+      .resume()
+  })
+}
+
+function fromMarkdown(text) {
+  text = text.replace(/\r\n/g, "\n")
+  const match = text.match(FRONT_MATTER)
+  if (!match) return { content: text }
+
+  const note = { content: text.slice(match[0].length) }
+
+  for (const line of match[1].split("\n")) {
+    const field = line.match(/^(\w+):\s*(.*)$/)
+    if (!field) continue
+
+    const [, key, raw] = field
+    let value
+    try {
+      value = JSON.parse(raw)
+    } catch {
+      value = raw // Hand-written YAML, e.g. "notebook: Work"
+    }
+
+    if (key === "created" || key === "updated") {
+      note[key] = typeof value === "number" ? value : Date.parse(value)
+    } else if (["clientId", "tags", "notebook"].includes(key)) {
+      note[key] = value
+    }
+  }
+
+  return note
+}
+
+// Imported notes without a clientId get one derived from their content, so
+// importing the same file twice still doesn't duplicate them
+function importClientId(note) {
+  if (note.clientId) return String(note.clientId)
+
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${note.created}\n${note.content}`)
+    .digest("hex")
+  return `import_${hash.slice(0, 24)}`
+}
+
+module.exports = {
+  toJson,
+  toZip,
+  fromJson,
+  fromZip,
+  importClientId,
+  ImportError,
+}
@@ -0,0 +1,110 @@
+// Structured logging - one JSON object per line, e.g.
+//
+//   {"time":"...","level":"info","msg":"Created note","noteId":7}
+//
+// Warnings and errors go to stderr, the rest to stdout. Fields that can
+// hold note contents or credentials are redacted wherever they appear.
+const crypto = require("crypto")
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+const REDACTED = new Set([
+  "content",
+  "password",
+  "passwordHash",
+  "token",
+  "authorization",
+])
+const MAX_DEPTH = 5
+
+let threshold = LEVELS.info
+
+function setLevel(level) {
+  if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`)
+  threshold = LEVELS[level]
+}
+
+// Makes a field value safe to log: errors keep their message and stack,
+// sensitive keys are blanked out
+function serialize(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      stack: value.stack,
+    }
+  }
+  if (typeof value !== "object" || value === null) return value
+  if (depth >= MAX_DEPTH) return "[too deep]"
+
+  if (Array.isArray(value)) {
+    return value.map((item) => serialize(item, depth + 1))
+  }
+
+  const result = {}
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED.has(key) ? "[redacted]" : serialize(item, depth + 1)
+  }
+  return result
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold) return
+
+  const entry = { time: new Date().toISOString(), level, msg }
+  const line = JSON.stringify({ ...entry, ...serialize(fields) })
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+  stream.write(line + "\n")
+}
+
+// `fields` are added to every entry, e.g. the request ID of a child logger
+function createLogger(fields = {}) {
+  const log = (level) => (msg, more) =>
+    write(level, msg, { ...fields, ...more })
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (more) => createLogger({ ...fields, ...more }),
+  }
+}
+
+const logger = createLogger()
+
+// IDs a proxy or client could have picked; anything else is replaced
+const REQUEST_ID = /^[\w.:-]{1,100}$/
+
+// Gives each request an ID (the client's X-Request-Id, if it sent a usable
+// one), echoes it back and logs the request once it's done. Handlers log
+// through req.log so their entries carry the ID too. Bodies are never
+// logged, and neither is the query string, which can carry a token.
+function requestLogger(req, res, next) {
+  const header = req.get("X-Request-Id")
+  const id = header && REQUEST_ID.test(header) ? header : crypto.randomUUID()
+  const start = process.hrtime.bigint()
+
+  req.id = id
+  req.log = logger.child({ requestId: id })
+  res.set("X-Request-Id", id)
+
+  res.on("close", () => {
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6
+    const status = res.statusCode
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info"
+
+    req.log[level]("Request", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status,
+      durationMs: Math.round(elapsed * 100) / 100,
+      // e.g. a client that went away, or an event stream that ended
+      ...(!res.writableFinished && { aborted: true }),
+    })
+  })
+
+  next()
+}
+
+module.exports = { ...logger, LEVELS, setLevel, serialize, requestLogger }
@@ -0,0 +1,144 @@
+// Server metrics, served by GET /api/metrics in Prometheus' text format.
+// They're kept in memory and start from zero when the server restarts,
+// which Prometheus expects of counters.
+const registry = []
+
+// `{route="/api/notes",status="200"}`, or nothing without labels
+function labelString(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, "\\n")
+    return `${name}="${escaped}"`
+  })
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : ""
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name
+    this.help = help
+    this.values = new Map() // label string -> count
+    registry.push(this)
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelString(labels)
+    this.values.set(key, (this.values.get(key) || 0) + amount)
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`]
+    lines.push(`# TYPE ${this.name} counter`)
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${key} ${value}`)
+    }
+    return lines
+  }
+}
+
+// Counts observations at or under each bucket's upper bound
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name
+    this.help = help
+    this.buckets = buckets
+    this.series = new Map() // label string -> { labels, counts, sum, count }
+    registry.push(this)
+  }
+
+  observe(labels, value) {
+    const key = labelString(labels)
+    if (!this.series.has(key)) {
+      const counts = this.buckets.map(() => 0)
+      this.series.set(key, { labels, counts, sum: 0, count: 0 })
+    }
+
+    const series = this.series.get(key)
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) series.counts[i]++
+    })
+    series.sum += value
+    series.count++
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`]
+    lines.push(`# TYPE ${this.name} histogram`)
+    for (const [key, { labels, counts, sum, count }] of this.series) {
+      this.buckets.forEach((bucket, i) => {
+        const bucketLabels = labelString({ ...labels, le: bucket })
+        lines.push(`${this.name}_bucket${bucketLabels} ${counts[i]}`)
+      })
+      const all = labelString({ ...labels, le: "+Inf" })
+      lines.push(`${this.name}_bucket${all} ${count}`)
+      lines.push(`${this.name}_sum${key} ${sum}`)
+      lines.push(`${this.name}_count${key} ${count}`)
+    }
+    return lines
+  }
+}
+
+const httpRequests = new Counter(
+  "http_requests_total",
+  "HTTP requests by method, route and status."
+)
+const httpDuration = new Histogram(
+  "http_request_duration_seconds",
+  "Time taken to answer HTTP requests, by method and route.",
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+)
+const httpErrors = new Counter(
+  "http_errors_total",
+  "Error responses by error code."
+)
+const noteOperations = new Counter(
+  "note_operations_total",
+  "Note changes by operation and where they came from."
+)
+const syncBatchSize = new Histogram(
+  "sync_batch_operations",
+  "Operations per sync request.",
+  [1, 5, 10, 25, 50, 100]
+)
+const syncOperations = new Counter(
+  "sync_operations_total",
+  "Synced operations by type and outcome (success or an error code)."
+)
+
+// Routes are labelled by their pattern (/api/notes/:id), so there's one
+// series per route rather than per note. Static files and unknown paths
+// share "other".
+function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint()
+
+  res.on("close", () => {
+    const route = req.route ? req.baseUrl + req.route.path : "other"
+    httpRequests.inc({ method: req.method, route, status: res.statusCode })
+
+    // An aborted request (e.g. an event stream) has no meaningful duration
+    if (res.writableFinished) {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9
+      httpDuration.observe({ method: req.method, route }, seconds)
+    }
+  })
+
+  next()
+}
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8"
+
+function render() {
+  return registry.flatMap((metric) => metric.render()).join("\n") + "\n"
+}
+
+module.exports = {
+  httpErrors,
+  noteOperations,
+  syncBatchSize,
+  syncOperations,
+  requestMetrics,
+  CONTENT_TYPE,
+  render,
+}
@@ -0,0 +1,192 @@
+// Schema migrations, applied in order by NotesDatabase.migrate(). Each
+// runs once, in a transaction, and is recorded in schema_migrations.
+// Never edit a migration that has shipped - add a new one.
+//
+// The first eight reproduce the schema as it stood before migrations were
+// tracked, and tolerate a database that already has some of it (IF NOT
+// EXISTS, addMissingColumns). Later ones can assume what came before.
+
+module.exports = [
+  {
+    version: 1,
+    name: "create notes",
+    up(database) {
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS notes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT NOT NULL,
+          clientId TEXT,
+          created INTEGER NOT NULL,
+          updated INTEGER NOT NULL
+        )
+      `)
+    },
+  },
+  {
+    version: 2,
+    name: "add note versions and tombstones",
+    up(database) {
+      database.addMissingColumns("notes", {
+        version: "INTEGER NOT NULL DEFAULT 1",
+        deleted: "INTEGER",
+      })
+    },
+  },
+  {
+    // Change log - one row per write, so clients can pull everything that
+    // happened after the last sequence number they saw
+    version: 3,
+    name: "add change log",
+    up(database) {
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS note_changes (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          noteId INTEGER NOT NULL,
+          clientId TEXT,
+          type TEXT NOT NULL,
+          timestamp INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_note_changes_noteId
+          ON note_changes (noteId);
+
+        INSERT INTO note_changes (noteId, clientId, type, timestamp)
+        SELECT id, clientId, 'upsert', updated FROM notes
+        WHERE id NOT IN (SELECT noteId FROM note_changes)
+        ORDER BY updated;
+      `)
+    },
+  },
+  {
+    // Earlier versions of each note, written whenever it is updated
+    version: 4,
+    name: "add revisions",
+    up(database) {
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS note_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          noteId INTEGER NOT NULL,
+          version INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          updated INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_note_revisions_noteId
+          ON note_revisions (noteId);
+      `)
+    },
+  },
+  {
+    // Accounts, their sign-in sessions (tokens are stored hashed) and note
+    // ownership. The owner is kept on each change too, so purges still
+    // reach them. clientId is the idempotency key for creates, so it has
+    // to be unique within each owner's notes.
+    version: 5,
+    name: "add accounts",
+    up(database) {
+      database.db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          passwordHash TEXT NOT NULL,
+          created INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS sessions (
+          tokenHash TEXT PRIMARY KEY,
+          userId INTEGER NOT NULL,
+          created INTEGER NOT NULL,
+          expires INTEGER NOT NULL
+        );
+      `)
+
+      database.addMissingColumns("notes", { ownerId: "INTEGER" })
+      database.addMissingColumns("note_changes", { ownerId: "INTEGER" })
+
+      database.collapseDuplicateNotes()
+      database.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_note_changes_ownerId
+          ON note_changes (ownerId, seq);
+        DROP INDEX IF EXISTS idx_notes_clientId;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_notes_ownerId_clientId
+          ON notes (ownerId, clientId);
+      `)
+    },
+  },
+  {
+    // Full-text index over note content, kept in step with the notes table
+    // by triggers
+    version: 6,
+    name: "add full-text search",
+    up(database) {
+      database.db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
+          content,
+          content = 'notes',
+          content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER IF NOT EXISTS notes_fts_insert AFTER INSERT ON notes
+        BEGIN
+          INSERT INTO notes_fts (rowid, content) VALUES (new.id, new.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS notes_fts_delete AFTER DELETE ON notes
+        BEGIN
+          INSERT INTO notes_fts (notes_fts, rowid, content)
+          VALUES ('delete', old.id, old.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS notes_fts_update
+        AFTER UPDATE OF content ON notes
+        BEGIN
+          INSERT INTO notes_fts (notes_fts, rowid, content)
+          VALUES ('delete', old.id, old.content);
+          INSERT INTO notes_fts (rowid, content) VALUES (new.id, new.content);
+        END;
+
+        INSERT INTO notes_fts (notes_fts) VALUES ('rebuild');
+      `)
+    },
+  },
+  {
+    // Tags (a JSON array) start out as the hashtags already in the text
+    version: 7,
+    name: "add tags and notebooks",
+    up(database) {
+      const added = database.addMissingColumns("notes", {
+        tags: "TEXT NOT NULL DEFAULT '[]'",
+        notebook: "TEXT",
+      })
+      if (added.includes("tags")) database.backfillTags()
+
+      database.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_notes_notebook
+          ON notes (ownerId, notebook)
+      `)
+    },
+  },
+  {
+    // One index per sort order for paging through a user's notes
+    version: 8,
+    name: "add titles and paging indexes",
+    up(database) {
+      const added = database.addMissingColumns("notes", {
+        title: "TEXT NOT NULL DEFAULT '' COLLATE NOCASE",
+      })
+      if (added.includes("title")) database.backfillTitles()
+
+      database.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_notes_updated
+          ON notes (ownerId, updated, id);
+        CREATE INDEX IF NOT EXISTS idx_notes_created
+          ON notes (ownerId, created, id);
+        CREATE INDEX IF NOT EXISTS idx_notes_title
+          ON notes (ownerId, title, id);
+      `)
+    },
+  },
+  {
+    // Key settings (JSON) for users who encrypt their notes
+    version: 9,
+    name: "add encryption settings",
+    up(database) {
+      database.addMissingColumns("users", { encryption: "TEXT" })
+    },
+  },
+]
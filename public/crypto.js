@@ -0,0 +1,117 @@
+// End-to-end encryption of note content, shared by the page, the service
+// worker and the server (which only needs isEncrypted). The key is derived
+// from the user's passphrase with PBKDF2 and never leaves the page. Notes
+// are encrypted with AES-GCM, then stored and synced as
+//
+//   e2e1:<key id>:<iv>:<ciphertext>     (iv and ciphertext in base64)
+//
+// so neither IndexedDB nor the server holds their text. Tags and notebooks
+// aren't encrypted.
+
+const ENCRYPTED_PREFIX = "e2e1:"
+const KEY_ITERATIONS = 600000 // OWASP's recommendation for PBKDF2-SHA256
+const KEY_CHECK = "offline-notes-key-check" // Encrypted to test passphrases
+
+// Thrown when a note has to be encrypted but the key isn't unlocked
+class LockedError extends Error {
+  constructor() {
+    super("Unlock your notes first")
+    this.name = "LockedError"
+  }
+}
+
+function isEncrypted(content) {
+  return typeof content === "string" && content.startsWith(ENCRYPTED_PREFIX)
+}
+
+function toBase64(bytes) {
+  let binary = ""
+  for (const byte of bytes) binary += String.fromCharCode(byte)
+  return btoa(binary)
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0))
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length))
+}
+
+// Non-extractable, so even code running in the page can't read it out
+async function deriveKey(passphrase, { salt, iterations }) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  )
+
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  )
+}
+
+// A new key, with the settings stored on the account: what's needed to
+// derive it again and to check a passphrase, but not the key itself.
+// Every key gets its own ID, so notes say which one they need.
+async function createKey(passphrase) {
+  const settings = {
+    keyId: Array.from(randomBytes(8), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join(""),
+    salt: toBase64(randomBytes(16)),
+    iterations: KEY_ITERATIONS,
+  }
+
+  const key = await deriveKey(passphrase, settings)
+  settings.check = await encryptText(key, settings.keyId, KEY_CHECK)
+  return { key, settings }
+}
+
+// Resolves with the key when the passphrase is right, null otherwise
+async function unlockKey(passphrase, settings) {
+  const key = await deriveKey(passphrase, settings)
+
+  try {
+    const check = await decryptText(key, settings.keyId, settings.check)
+    return check === KEY_CHECK ? key : null
+  } catch {
+    return null
+  }
+}
+
+async function encryptText(key, keyId, text) {
+  const iv = randomBytes(12)
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(text)
+  )
+
+  return `${ENCRYPTED_PREFIX}${keyId}:${toBase64(iv)}:${toBase64(
+    new Uint8Array(data)
+  )}`
+}
+
+// Rejects when the text was encrypted with another key or tampered with
+async function decryptText(key, keyId, content) {
+  const [id, iv, data] = content.slice(ENCRYPTED_PREFIX.length).split(":")
+  if (id !== keyId) throw new Error(`Encrypted with another key (${id})`)
+
+  const text = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(iv) },
+    key,
+    fromBase64(data)
+  )
+  return new TextDecoder().decode(text)
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { ENCRYPTED_PREFIX, isEncrypted }
+}
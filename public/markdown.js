@@ -0,0 +1,175 @@
+// A small Markdown renderer for note cards: headings, lists, task lists,
+// block quotes, code, links and emphasis. It is safe by construction -
+// all text is escaped first and only the tags below are ever produced,
+// with link targets limited to http(s), mailto and same-site URLs.
+
+const FENCE_OPEN = /^```\s*([\w-]*)\s*$/
+const FENCE_CLOSE = /^```\s*$/
+const HEADING = /^(#{1,6})\s+(.*)$/
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/
+const QUOTE = /^>\s?(.*)$/
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/
+const TASK = /^\[([ xX])\]\s+(.*)$/
+const TASK_LINE = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s)/
+
+// With tasks: false the checkboxes are rendered disabled
+function renderMarkdown(text, { tasks = true } = {}) {
+  const lines = text.split("\n")
+  const html = []
+  let taskIndex = 0
+  let i = 0
+
+  const startsBlock = (line) =>
+    FENCE_OPEN.test(line) ||
+    HEADING.test(line) ||
+    RULE.test(line) ||
+    QUOTE.test(line) ||
+    LIST_ITEM.test(line)
+
+  while (i < lines.length) {
+    const line = lines[i]
+    const fence = line.match(FENCE_OPEN)
+    const heading = line.match(HEADING)
+
+    if (fence) {
+      const code = []
+      i++
+      while (i < lines.length && !FENCE_CLOSE.test(lines[i])) {
+        code.push(lines[i++])
+      }
+      i++ // Closing fence
+
+      const language = fence[1] ? ` class="language-${fence[1]}"` : ""
+      html.push(
+        `<pre><code${language}>${escapeMarkdownText(code.join("\n"))}</code></pre>`
+      )
+    } else if (heading) {
+      const level = heading[1].length
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`)
+      i++
+    } else if (RULE.test(line)) {
+      html.push("<hr>")
+      i++
+    } else if (QUOTE.test(line)) {
+      const quoted = []
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(renderInline(lines[i++].match(QUOTE)[1]))
+      }
+      html.push(`<blockquote>${quoted.join("<br>")}</blockquote>`)
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = /^\d/.test(line.match(LIST_ITEM)[1])
+      const items = []
+
+      while (i < lines.length && LIST_ITEM.test(lines[i])) {
+        const [, marker, content] = lines[i].match(LIST_ITEM)
+        if (/^\d/.test(marker) !== ordered) break
+
+        const task = TASK_LINE.test(lines[i]) && content.match(TASK)
+        if (task) {
+          const checked = task[1] !== " " ? " checked" : ""
+          const disabled = tasks ? "" : " disabled"
+          items.push(
+            `<li class="task"><input type="checkbox" data-task="${taskIndex++}"${checked}${disabled}> ${renderInline(task[2])}</li>`
+          )
+        } else {
+          items.push(`<li>${renderInline(content)}</li>`)
+        }
+        i++
+      }
+
+      const tag = ordered ? "ol" : "ul"
+      html.push(`<${tag}>${items.join("")}</${tag}>`)
+    } else if (!line.trim()) {
+      i++
+    } else {
+      const paragraph = []
+      while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+        paragraph.push(renderInline(lines[i++]))
+      }
+      html.push(`<p>${paragraph.join("<br>")}</p>`)
+    }
+  }
+
+  return html.join("")
+}
+
+// Flips the index-th task checkbox in the source text, counting tasks the
+// same way renderMarkdown() numbers them
+function toggleTask(text, index) {
+  let inFence = false
+  let taskIndex = 0
+
+  return text
+    .split("\n")
+    .map((line) => {
+      if (inFence ? FENCE_CLOSE.test(line) : FENCE_OPEN.test(line)) {
+        inFence = !inFence
+        return line
+      }
+      if (inFence || !TASK_LINE.test(line)) return line
+      if (taskIndex++ !== index) return line
+
+      return line.replace(
+        TASK_LINE,
+        (match, before, mark, after) =>
+          before + (mark === " " ? "x" : " ") + after
+      )
+    })
+    .join("\n")
+}
+
+function renderInline(text) {
+  // Code spans first, so nothing inside them gets formatted
+  return text
+    .split(/(`[^`\n]+`)/)
+    .map((part, i) =>
+      i % 2 === 1
+        ? `<code>${escapeMarkdownText(part.slice(1, -1))}</code>`
+        : formatInline(escapeMarkdownText(part))
+    )
+    .join("")
+}
+
+// Works on already escaped text. Links are set aside (as NUL-delimited
+// placeholders) while emphasis is applied, so that can't reach into their
+// URLs.
+function formatInline(html) {
+  const links = []
+  const setAside = (link) => `\u0000${links.push(link) - 1}\u0000`
+
+  const text = html
+    .replace(/\u0000/g, "")
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+      setAside(renderLink(url, formatEmphasis(label)))
+    )
+    .replace(
+      /(^|[\s(])(https?:\/\/[^\s<]*[^\s<.,;:!?)])/g,
+      (match, before, url) => before + setAside(renderLink(url, url))
+    )
+
+  return formatEmphasis(text).replace(
+    /\u0000(\d+)\u0000/g,
+    (match, index) => links[index]
+  )
+}
+
+function formatEmphasis(html) {
+  return html
+    .replace(/\*\*(?!\s)(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w*])\*(?![\s*])(.+?)\*(?!\w)/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?![\s_])(.+?)_(?!\w)/g, "$1<em>$2</em>")
+}
+
+function renderLink(url, label) {
+  if (!/^(https?:|mailto:|\/(?!\/)|#)/i.test(url)) return label
+  return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+}
+
+function escapeMarkdownText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
@@ -0,0 +1,937 @@
+// The page's IndexedDB wrapper. A plain script loaded after schema.js and
+// crypto.js, so the tests can run it outside the browser too.
+
+const BACKUP_FORMAT = "offline-notes-backup"
+
+class NotesDB {
+  constructor() {
+    this.db = null
+    this.dbName = DB_NAME
+    this.version = DB_VERSION
+    // The account's key settings (see crypto.js), or null when it doesn't
+    // encrypt notes, and the key itself while they're unlocked
+    this.encryption = null
+    this.key = null
+  }
+
+  async init() {
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version)
+
+      request.onerror = () => reject(request.error)
+      request.onsuccess = () => {
+        this.db = request.result
+        resolve()
+      }
+
+      // Step by step from whatever version this browser has (see schema.js)
+      request.onupgradeneeded = upgradeDatabase
+    })
+
+    this.encryption = await this.getMeta("encryption")
+  }
+
+  generateId() {
+    return `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  }
+
+  // Hashtags in the content are added to the given tags. Encrypted content
+  // has none to find, so an encrypted note's hashtags stay secret too.
+  async addNote(content, { tags = [], notebook = null } = {}) {
+    const clientId = this.generateId()
+    const sealed = await this.sealContent(content)
+    const note = {
+      clientId,
+      serverId: null,
+      content: sealed,
+      tags: noteTags(sealed, tags),
+      notebook: normalizeNotebook(notebook),
+      created: Date.now(),
+      updated: Date.now(),
+      synced: false,
+    }
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        ["notes", "syncQueue", "searchIndex"],
+        "readwrite"
+      )
+
+      // Add note
+      const notesStore = tx.objectStore("notes")
+      notesStore.add(note)
+      tx.objectStore("searchIndex").put(searchIndexEntry(note))
+
+      // Queue sync operation
+      const queueStore = tx.objectStore("syncQueue")
+      queueOperation(queueStore, {
+        type: "create",
+        clientId,
+        content: sealed,
+        tags: note.tags,
+        notebook: note.notebook,
+        created: note.created,
+        updated: note.updated,
+        timestamp: Date.now(),
+      })
+
+      tx.oncomplete = () => resolve(note)
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  async getAllNotes() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["notes"], "readonly")
+      const store = tx.objectStore("notes")
+      const request = store.getAll()
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // indexName is "tags" or "notebook"
+  async getNotesByIndex(indexName, value) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["notes"], "readonly")
+      const index = tx.objectStore("notes").index(indexName)
+      const request = index.getAll(value)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  async getNoteByClientId(clientId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["notes"], "readonly")
+      const store = tx.objectStore("notes")
+      const request = store.get(clientId)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // Leaving out tags or notebook keeps the current ones
+  async updateNote(clientId, content, { tags, notebook } = {}) {
+    const note = await this.getNoteByClientId(clientId)
+    if (!note) throw new Error("Note not found")
+
+    const sealed = await this.sealContent(content)
+    note.tags = noteTags(sealed, tags || explicitTags(note))
+    if (notebook !== undefined) note.notebook = normalizeNotebook(notebook)
+    note.content = sealed
+    note.updated = Date.now()
+    note.synced = false
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        ["notes", "syncQueue", "searchIndex"],
+        "readwrite"
+      )
+
+      // Update note
+      const notesStore = tx.objectStore("notes")
+      notesStore.put(note)
+      tx.objectStore("searchIndex").put(searchIndexEntry(note))
+
+      // Queue sync operation
+      const queueStore = tx.objectStore("syncQueue")
+      queueOperation(queueStore, {
+        type: "update",
+        clientId,
+        serverId: note.serverId,
+        baseVersion: note.version,
+        content: sealed,
+        tags: note.tags,
+        notebook: note.notebook,
+        updated: note.updated,
+        timestamp: Date.now(),
+      })
+
+      tx.oncomplete = () => resolve(note)
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // Deleting only moves a note to the trash - it keeps a tombstone
+  // (the deletion time) until the trash is purged
+  async deleteNote(clientId) {
+    const note = await this.getNoteByClientId(clientId)
+    if (!note) return
+
+    note.deleted = Date.now()
+    note.synced = false
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["notes", "syncQueue"], "readwrite")
+
+      // Mark note as deleted
+      const notesStore = tx.objectStore("notes")
+      notesStore.put(note)
+
+      // Queue sync operation (a note the server never saw just drops
+      // its pending create)
+      const queueStore = tx.objectStore("syncQueue")
+      queueOperation(queueStore, {
+        type: "delete",
+        clientId,
+        serverId: note.serverId,
+        timestamp: Date.now(),
+      })
+
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  async restoreNote(clientId) {
+    const note = await this.getNoteByClientId(clientId)
+    if (!note) throw new Error("Note not found")
+
+    note.deleted = null
+    note.synced = false
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["notes", "syncQueue"], "readwrite")
+
+      // Restore note
+      const notesStore = tx.objectStore("notes")
+      notesStore.put(note)
+
+      // Queue sync operation (a note the server never saw goes out as a
+      // fresh create)
+      const queueStore = tx.objectStore("syncQueue")
+      queueOperation(
+        queueStore,
+        note.serverId
+          ? {
+              type: "restore",
+              clientId,
+              serverId: note.serverId,
+              timestamp: Date.now(),
+            }
+          : {
+              type: "create",
+              clientId,
+              content: note.content,
+              tags: note.tags,
+              notebook: note.notebook,
+              created: note.created,
+              updated: note.updated,
+              timestamp: Date.now(),
+            }
+      )
+
+      tx.oncomplete = () => resolve(note)
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // The server purges its own trash and tells us through the change log;
+  // notes it never saw are only ours to clean up
+  async purgeLocalTrash(cutoff) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["notes", "searchIndex"], "readwrite")
+      const store = tx.objectStore("notes")
+
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result
+        if (!cursor) return
+
+        const note = cursor.value
+        if (!note.serverId && note.deleted && note.deleted < cutoff) {
+          cursor.delete()
+          tx.objectStore("searchIndex").delete(note.clientId)
+        }
+        cursor.continue()
+      }
+
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // Settle a conflict by rebasing the note on the server copy. Keeping the
+  // server content needs no sync; anything else goes out as a new update.
+  // When the server copy is in the trash, keeping it leaves the note there
+  // and anything else brings it back.
+  async resolveConflict(clientId, content) {
+    const note = await this.getNoteByClientId(clientId)
+    if (!note || !note.conflict) throw new Error("Note has no conflict")
+
+    // `content` is the text; the server copy may be encrypted
+    const server = note.conflict
+    const keepServer = content === (await this.openContent(server.content))
+    const sealed = keepServer
+      ? server.content
+      : await this.sealContent(content)
+
+    delete note.conflict
+    note.tags = keepServer
+      ? server.tags || []
+      : noteTags(sealed, explicitTags(note))
+    note.notebook = keepServer ? server.notebook || null : note.notebook
+    note.content = sealed
+    note.version = server.version
+    note.updated = keepServer ? server.updated : Date.now()
+    note.deleted = keepServer ? server.deleted || null : null
+    note.synced = keepServer
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        ["notes", "syncQueue", "searchIndex"],
+        "readwrite"
+      )
+
+      // Update note
+      const notesStore = tx.objectStore("notes")
+      notesStore.put(note)
+      tx.objectStore("searchIndex").put(searchIndexEntry(note))
+
+      // Our content replaces any update queued against the stale version;
+      // keeping the server copy leaves nothing to push
+      const queueStore = tx.objectStore("syncQueue")
+      if (keepServer) {
+        const request = queueStore.index("clientId").getAll(clientId)
+        request.onsuccess = () => {
+          request.result
+            .filter((op) => op.type === "update")
+            .forEach((op) => queueStore.delete(op.id))
+        }
+      } else {
+        queueOperation(queueStore, {
+          type: "update",
+          clientId,
+          serverId: note.serverId,
+          baseVersion: note.version,
+          content: sealed,
+          tags: note.tags,
+          notebook: note.notebook,
+          updated: note.updated,
+          timestamp: Date.now(),
+        })
+
+        // After the update, which has to match the tombstone's version
+        if (server.deleted) {
+          queueOperation(queueStore, {
+            type: "restore",
+            clientId,
+            serverId: note.serverId,
+            timestamp: Date.now(),
+          })
+        }
+      }
+
+      tx.oncomplete = () => resolve(note)
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // Offline search through the searchIndex store, taking terms from
+  // parseSearchQuery(). Resolves with [{ note, snippet }], best first.
+  async search(terms) {
+    const include = terms.filter((term) => !term.negated)
+    if (include.length === 0) return []
+
+    // Every word of every wanted term has to be in the note
+    const lookups = include.flatMap((term) =>
+      term.words.map((word, i) => ({
+        word,
+        prefix: term.prefix && i === term.words.length - 1,
+      }))
+    )
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["notes", "searchIndex"], "readonly")
+      const notesStore = tx.objectStore("notes")
+      const termsIndex = tx.objectStore("searchIndex").index("terms")
+      const candidates = []
+      const results = []
+
+      lookups.forEach(({ word, prefix }) => {
+        const range = prefix
+          ? IDBKeyRange.bound(word, word + "\uffff")
+          : IDBKeyRange.only(word)
+        const request = termsIndex.getAllKeys(range)
+
+        request.onsuccess = () => {
+          candidates.push(new Set(request.result))
+          if (candidates.length < lookups.length) return
+
+          // The index only narrows things down - phrases and negated
+          // terms are checked against the content itself
+          const [first, ...rest] = candidates
+          for (const clientId of first) {
+            if (!rest.every((set) => set.has(clientId))) continue
+
+            const getRequest = notesStore.get(clientId)
+            getRequest.onsuccess = () => {
+              const note = getRequest.result
+              if (!note || note.deleted) return
+
+              const score = matchSearchQuery(note.content, terms)
+              if (score > 0) results.push({ note, score })
+            }
+          }
+        }
+      })
+
+      tx.oncomplete = () =>
+        resolve(
+          results
+            .sort(
+              (a, b) => b.score - a.score || b.note.updated - a.note.updated
+            )
+            .map(({ note }) => ({
+              note,
+              snippet: searchSnippet(note.content, terms),
+            }))
+        )
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // Encrypted notes have nothing in the search index, so they're searched
+  // by decrypting each one - only while unlocked. Same results as search().
+  async searchEncrypted(terms) {
+    if (!this.key || terms.every((term) => term.negated)) return []
+
+    const notes = (await this.getAllNotes()).filter(
+      (note) => !note.deleted && isEncrypted(note.content)
+    )
+    const results = []
+    for (const note of await this.openNotes(notes)) {
+      if (note.locked) continue
+      const score = matchSearchQuery(note.content, terms)
+      if (score > 0) results.push({ note, score })
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || b.note.updated - a.note.updated)
+      .map(({ note }) => ({
+        note,
+        snippet: searchSnippet(note.content, terms),
+      }))
+  }
+
+  get locked() {
+    return Boolean(this.encryption) && !this.key
+  }
+
+  // The account's settings as the server has them. A different key (e.g.
+  // the passphrase was changed on another device) has to be unlocked again.
+  async setEncryption(settings) {
+    if (!settings || settings.keyId !== (this.encryption || {}).keyId) {
+      this.key = null
+    }
+    this.encryption = settings
+    await this.setMeta("encryption", settings)
+  }
+
+  // Resolves with whether the passphrase was right
+  async unlock(passphrase) {
+    if (!this.encryption) return true
+
+    const key = await unlockKey(passphrase, this.encryption)
+    if (key) this.key = key
+    return Boolean(key)
+  }
+
+  lock() {
+    this.key = null
+  }
+
+  // Content as it's stored and synced - encrypted when the account uses
+  // encryption, which needs the key unlocked
+  async sealContent(content) {
+    if (!this.encryption) return content
+    if (!this.key) throw new LockedError()
+    return encryptText(this.key, this.encryption.keyId, content)
+  }
+
+  // The text of stored content, or null when it can't be decrypted: the
+  // notes are locked, or it was encrypted with a key we don't have
+  async openContent(content) {
+    if (!isEncrypted(content)) return content
+    if (!this.key) return null
+
+    try {
+      return await decryptText(this.key, this.encryption.keyId, content)
+    } catch {
+      return null
+    }
+  }
+
+  // A copy of the note with its content (and its conflict's) as text, or
+  // marked `locked` when that can't be had. The stored note is untouched.
+  async openNote(note) {
+    const content = await this.openContent(note.content)
+    if (content === null) return { ...note, locked: true }
+
+    const opened = { ...note, content }
+    if (note.conflict) {
+      const conflictContent = await this.openContent(note.conflict.content)
+      if (conflictContent === null) return { ...note, locked: true }
+      opened.conflict = { ...note.conflict, content: conflictContent }
+    }
+    return opened
+  }
+
+  async openNotes(notes) {
+    return Promise.all(notes.map((note) => this.openNote(note)))
+  }
+
+  // Whether openNote would mark the note locked, going by the key it was
+  // encrypted with rather than decrypting it
+  isLocked(note) {
+    const prefix = this.key && `${ENCRYPTED_PREFIX}${this.encryption.keyId}:`
+    const locked = (content) =>
+      isEncrypted(content) && !(prefix && content.startsWith(prefix))
+    return (
+      locked(note.content) ||
+      Boolean(note.conflict && locked(note.conflict.content))
+    )
+  }
+
+  // Switch every note to new key settings: re-encrypt them with the new
+  // key, or store them as plain text when the settings are null. The
+  // changes are queued like edits, so the server ends up with them too,
+  // trashed notes included. Until the server has the settings (see
+  // getKeySwitch) the queue is held back, since other devices couldn't
+  // read what's in it. A note that can't be opened or is in a conflict
+  // would be stuck with a key that's gone, so nothing is changed while
+  // there are any (see switchKey in scripts.js). Nor while changes that
+  // failed to sync are kept, since retrying one would send the server its
+  // content as it was. Resolves with the number of notes changed.
+  async changeEncryption(settings, key) {
+    if ((await this.getDeadLetterCount()) > 0) {
+      throw new Error("Changes that failed to sync are still kept")
+    }
+
+    const notes = await this.getAllNotes()
+    const changed = []
+    const keySwitch = {
+      encryption: settings,
+      previousKeyId: this.encryption ? this.encryption.keyId : null,
+    }
+
+    // Worked out up front, since a transaction can't wait on encryption
+    for (const note of notes) {
+      const text = note.conflict ? null : await this.openContent(note.content)
+      if (text === null) throw new Error("Some notes can't be re-encrypted")
+
+      const content = settings
+        ? await encryptText(key, settings.keyId, text)
+        : text
+      changed.push({
+        ...note,
+        content,
+        tags: noteTags(content, explicitTags(note)),
+        synced: false,
+      })
+    }
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        ["notes", "syncQueue", "searchIndex", "meta"],
+        "readwrite"
+      )
+      const queueStore = tx.objectStore("syncQueue")
+
+      // `updated` stays put: the notes didn't change for the user
+      for (const note of changed) {
+        tx.objectStore("notes").put(note)
+        if (note.deleted) {
+          tx.objectStore("searchIndex").delete(note.clientId)
+        } else {
+          tx.objectStore("searchIndex").put(searchIndexEntry(note))
+        }
+
+        // A trashed note the server never had has nothing to update there
+        if (note.deleted && !note.serverId) continue
+        queueOperation(queueStore, {
+          type: "update",
+          clientId: note.clientId,
+          serverId: note.serverId,
+          baseVersion: note.version,
+          content: note.content,
+          tags: note.tags,
+          notebook: note.notebook,
+          updated: note.updated,
+          timestamp: Date.now(),
+        })
+      }
+      tx.objectStore("meta").put({ key: "encryption", value: settings })
+      tx.objectStore("meta").put({ key: "keySwitch", value: keySwitch })
+
+      tx.oncomplete = () => {
+        this.encryption = settings
+        this.key = key
+        resolve(changed.length)
+      }
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // A key switch made here that the server doesn't have yet, as the body
+  // for PUT /api/encryption, or null
+  async getKeySwitch() {
+    return this.getMeta("keySwitch")
+  }
+
+  // Once the server has the settings, the held back queue can go out
+  async clearKeySwitch() {
+    await this.setMeta("keySwitch", null)
+  }
+
+  async getSyncQueueCount() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["syncQueue"], "readonly")
+      const store = tx.objectStore("syncQueue")
+      const request = store.count()
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // Queued operations backing off after a failure (see scheduleRetry in
+  // sync.js), soonest due first
+  async getRetryingOperations() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["syncQueue"], "readonly")
+      const request = tx.objectStore("syncQueue").getAll()
+
+      request.onsuccess = () =>
+        resolve(
+          request.result
+            .filter((operation) => operation.nextAttemptAt > Date.now())
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        )
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // Operations the sync engine gave up on (see moveToDeadLetter in
+  // sync.js), most recent first
+  async getDeadLetters() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["deadLetter"], "readonly")
+      const request = tx.objectStore("deadLetter").getAll()
+
+      request.onsuccess = () =>
+        resolve(request.result.sort((a, b) => b.failedAt - a.failedAt))
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  async getDeadLetterCount() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["deadLetter"], "readonly")
+      const request = tx.objectStore("deadLetter").count()
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // Queue a failed operation again with a clean slate. It keeps its ID, so
+  // it still goes out ahead of anything queued for the note since - edits
+  // of a note whose create failed need that create first.
+  async retryDeadLetter(id) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["deadLetter", "syncQueue"], "readwrite")
+      const deadStore = tx.objectStore("deadLetter")
+      const getRequest = deadStore.get(id)
+
+      getRequest.onsuccess = () => {
+        const entry = getRequest.result
+        if (!entry) return
+
+        const {
+          error,
+          errorCode,
+          failedAt,
+          attempts,
+          lastError,
+          nextAttemptAt,
+          ...operation
+        } = entry
+        deadStore.delete(id)
+        tx.objectStore("syncQueue").put(operation)
+      }
+
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // Drop a failed operation for good. The note stays as it is here.
+  async discardDeadLetter(id) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["deadLetter"], "readwrite")
+      tx.objectStore("deadLetter").delete(id)
+
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // Small values kept in the meta store, which the sync engine reads too
+  async getMeta(key) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["meta"], "readonly")
+      const request = tx.objectStore("meta").get(key)
+
+      request.onsuccess = () =>
+        resolve(request.result ? request.result.value : null)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  async setMeta(key, value) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["meta"], "readwrite")
+      tx.objectStore("meta").put({ key, value })
+
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // The signed-in session, { token, user }
+  async getAuth() {
+    return this.getMeta("auth")
+  }
+
+  async setAuth(auth) {
+    return this.setMeta("auth", auth)
+  }
+
+  // Forget everything stored for the previous account
+  async clearLocalData() {
+    const stores = ["notes", "syncQueue", "deadLetter", "meta", "searchIndex"]
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(stores, "readwrite")
+      stores.forEach((name) => tx.objectStore(name).clear())
+
+      tx.oncomplete = () => {
+        this.encryption = null
+        this.key = null
+        resolve()
+      }
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // A copy of the notes and sync queue as they are in this browser,
+  // including changes that never reached the server
+  async exportBackup(user) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["notes", "syncQueue"], "readonly")
+      const notesRequest = tx.objectStore("notes").getAll()
+      const queueRequest = tx.objectStore("syncQueue").getAll()
+
+      tx.oncomplete = () =>
+        resolve({
+          format: BACKUP_FORMAT,
+          exported: new Date().toISOString(),
+          user,
+          notes: notesRequest.result,
+          syncQueue: queueRequest.result,
+        })
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+
+  // Notes from the backup replace missing or older local copies. For the
+  // same account their queued operations come back too and the next pull
+  // starts over, so the server's copy of anything already synced wins.
+  // Otherwise the server IDs mean nothing here and each note is queued as
+  // a new create. Content is stored the way it would be now: under the
+  // current key, or as plain text with encryption off. Notes saved under
+  // a key we don't have are left out, since nobody could open them, and
+  // so are entries that aren't what exportBackup writes. Resolves with
+  // { restored, skipped, unreadable, invalid }.
+  async restoreBackup(backup, user) {
+    if (this.locked) throw new LockedError()
+
+    const sameAccount = !!(backup.user && user && backup.user.id === user.id)
+    const valid = backup.notes.filter(isBackupNote)
+    const syncQueue = backup.syncQueue.filter(isBackupOperation)
+    const counts = {
+      restored: 0,
+      skipped: 0,
+      unreadable: 0,
+      invalid:
+        backup.notes.length -
+        valid.length +
+        backup.syncQueue.length -
+        syncQueue.length,
+    }
+
+    // Worked out up front, since a transaction can't wait on encryption
+    const notes = []
+    for (const note of valid) {
+      const text = await this.openContent(note.content)
+      if (text === null) {
+        counts.unreadable++
+        continue
+      }
+
+      const content = await this.sealContent(text)
+      notes.push({
+        ...note,
+        content,
+        tags: noteTags(content, explicitTags(note)),
+      })
+    }
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        ["notes", "syncQueue", "searchIndex", "meta"],
+        "readwrite"
+      )
+      const notesStore = tx.objectStore("notes")
+      const queueStore = tx.objectStore("syncQueue")
+      const queueRequest = queueStore.getAll()
+
+      queueRequest.onsuccess = () => {
+        const pending = new Set(queueRequest.result.map((op) => op.clientId))
+
+        for (const saved of notes) {
+          const getRequest = notesStore.get(saved.clientId)
+
+          getRequest.onsuccess = () => {
+            const local = getRequest.result
+            if (local && (local.updated >= saved.updated || local.conflict)) {
+              counts.skipped++
+              return
+            }
+
+            // A conflict belongs to the server it came from
+            const note = sameAccount
+              ? saved
+              : { ...saved, serverId: null, version: null, synced: false }
+            if (!sameAccount) delete note.conflict
+
+            notesStore.put(note)
+            tx.objectStore("searchIndex").put(searchIndexEntry(note))
+            counts.restored++
+
+            if (pending.has(note.clientId)) return
+            if (sameAccount) {
+              // Their content as the note has it now
+              syncQueue
+                .filter((op) => op.clientId === note.clientId)
+                .forEach(({ id, ...op }) =>
+                  queueStore.add(
+                    op.content === undefined
+                      ? op
+                      : { ...op, content: note.content, tags: note.tags }
+                  )
+                )
+            } else if (!note.deleted) {
+              queueOperation(queueStore, {
+                type: "create",
+                clientId: note.clientId,
+                content: note.content,
+                tags: note.tags,
+                notebook: note.notebook,
+                created: note.created,
+                updated: note.updated,
+                timestamp: Date.now(),
+              })
+            }
+          }
+        }
+
+        if (sameAccount) {
+          tx.objectStore("meta").put({ key: "syncCursor", value: 0 })
+        }
+      }
+
+      tx.oncomplete = () => resolve(counts)
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+}
+
+// The same clientIds the server takes (see schemas.js)
+const CLIENT_ID_PATTERN = /^[\w-]{1,100}$/
+
+const OPERATION_TYPES = ["create", "update", "delete", "restore"]
+
+// Checks for backup entries, which come from a file anyone could have
+// edited. A bad clientId would abort the restore's transaction, and other
+// fields would end up on the server.
+function isBackupNote(note) {
+  return (
+    isBackupEntry(note) &&
+    typeof note.content === "string" &&
+    Number.isFinite(note.created) &&
+    Number.isFinite(note.updated) &&
+    (note.tags === undefined ||
+      (Array.isArray(note.tags) &&
+        note.tags.every((tag) => typeof tag === "string"))) &&
+    (note.notebook == null || typeof note.notebook === "string") &&
+    (note.deleted == null || Number.isFinite(note.deleted)) &&
+    (note.version == null || Number.isInteger(note.version)) &&
+    (note.conflict == null || typeof note.conflict.content === "string")
+  )
+}
+
+function isBackupOperation(operation) {
+  return isBackupEntry(operation) && OPERATION_TYPES.includes(operation.type)
+}
+
+// What notes and queued operations have in common. Only notes need
+// content, but where there is some it has to be text.
+function isBackupEntry(entry) {
+  return (
+    Boolean(entry) &&
+    typeof entry === "object" &&
+    typeof entry.clientId === "string" &&
+    CLIENT_ID_PATTERN.test(entry.clientId) &&
+    (entry.content === undefined || typeof entry.content === "string") &&
+    (entry.serverId == null || Number.isInteger(entry.serverId))
+  )
+}
+
+// Merge a new operation into whatever is already queued for the same note:
+// create+update stays a create, create+delete cancels out and update+update
+// keeps the latest content. The revision lets the service worker spot
+// entries edited while in flight.
+function queueOperation(queueStore, op) {
+  const request = queueStore.index("clientId").getAll(op.clientId)
+
+  request.onsuccess = () => {
+    const queued = request.result
+    const create = queued.find((entry) => entry.type === "create")
+    const update = queued.find((entry) => entry.type === "update")
+
+    if (op.type === "update" && (create || update)) {
+      const entry = create || update
+      queueStore.put({
+        ...entry,
+        content: op.content,
+        tags: op.tags,
+        notebook: op.notebook,
+        updated: op.updated,
+        revision: (entry.revision || 0) + 1,
+      })
+      return
+    }
+
+    if (op.type === "delete" && (create || !op.serverId)) {
+      queued.forEach((entry) => queueStore.delete(entry.id))
+      return
+    }
+
+    queueStore.add({ ...op, revision: 0 })
+  }
+}
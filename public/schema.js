@@ -0,0 +1,91 @@
+// IndexedDB schema, shared by the page and the service worker so that
+// whichever opens the database first can upgrade it. Each step moves the
+// database up one version and is keyed by the version it upgrades from.
+// Never change a step that has shipped - bump DB_VERSION and add one.
+// Steps that rewrite notes need tags.js and search.js loaded.
+
+const DB_NAME = "offline-notes-db"
+const DB_VERSION = 7
+
+// A new database and the first release both start from the original stores
+function createBaseStores(db) {
+  if (!db.objectStoreNames.contains("notes")) {
+    const notesStore = db.createObjectStore("notes", { keyPath: "clientId" })
+    notesStore.createIndex("updated", "updated", { unique: false })
+    notesStore.createIndex("serverId", "serverId", { unique: false })
+  }
+
+  if (!db.objectStoreNames.contains("syncQueue")) {
+    db.createObjectStore("syncQueue", { keyPath: "id", autoIncrement: true })
+  }
+}
+
+// Runs `update` on every stored note inside the upgrade transaction
+function eachNote(tx, update) {
+  tx.objectStore("notes").openCursor().onsuccess = (event) => {
+    const cursor = event.target.result
+    if (!cursor) return
+
+    update(cursor)
+    cursor.continue()
+  }
+}
+
+const DB_UPGRADES = {
+  0: createBaseStores,
+  1: createBaseStores,
+
+  // Sync cursor and other bookkeeping
+  2: (db) => {
+    db.createObjectStore("meta", { keyPath: "key" })
+  },
+
+  // Queued operations are coalesced per note
+  3: (db, tx) => {
+    tx.objectStore("syncQueue").createIndex("clientId", "clientId", {
+      unique: false,
+    })
+  },
+
+  // Operations the server rejected for good
+  4: (db) => {
+    db.createObjectStore("deadLetter", { keyPath: "id" })
+  },
+
+  // Offline search - an inverted index of each note's words
+  5: (db, tx) => {
+    const searchStore = db.createObjectStore("searchIndex", {
+      keyPath: "clientId",
+    })
+    searchStore.createIndex("terms", "terms", { multiEntry: true })
+
+    eachNote(tx, (cursor) => searchStore.put(searchIndexEntry(cursor.value)))
+  },
+
+  // Tags and notebooks, each with an index to filter by. Existing notes
+  // start out tagged with their hashtags.
+  6: (db, tx) => {
+    const notesStore = tx.objectStore("notes")
+    notesStore.createIndex("tags", "tags", { multiEntry: true })
+    notesStore.createIndex("notebook", "notebook", { unique: false })
+
+    eachNote(tx, (cursor) => {
+      const note = cursor.value
+      cursor.update({
+        ...note,
+        tags: note.tags || noteTags(note.content),
+        notebook: note.notebook || null,
+      })
+    })
+  },
+}
+
+// For onupgradeneeded
+function upgradeDatabase(event) {
+  const db = event.target.result
+  const tx = event.target.transaction
+
+  for (let version = event.oldVersion; version < DB_VERSION; version++) {
+    DB_UPGRADES[version](db, tx)
+  }
+}
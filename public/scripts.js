@@ -1,180 +1,39 @@
-// Configuration
-const API_URL = "http://localhost:3000/api" // UPDATE THIS if using ngrok
-
-// IndexedDB wrapper
-class NotesDB {
-  constructor() {
-    this.db = null
-    this.dbName = "offline-notes-db"
-    this.version = 2
-  }
-
-  async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.version)
-
-      request.onerror = () => reject(request.error)
-      request.onsuccess = () => {
-        this.db = request.result
-        resolve()
-      }
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result
-
-        // Notes store
-        if (!db.objectStoreNames.contains("notes")) {
-          const notesStore = db.createObjectStore("notes", {
-            keyPath: "clientId",
-          })
-          notesStore.createIndex("updated", "updated", { unique: false })
-          notesStore.createIndex("serverId", "serverId", { unique: false })
-        }
-
-        // Sync queue store
-        if (!db.objectStoreNames.contains("syncQueue")) {
-          db.createObjectStore("syncQueue", {
-            keyPath: "id",
-            autoIncrement: true,
-          })
-        }
-      }
-    })
-  }
-
-  generateId() {
-    return `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-  }
-
-  async addNote(content) {
-    const clientId = this.generateId()
-    const note = {
-      clientId,
-      serverId: null,
-      content,
-      created: Date.now(),
-      updated: Date.now(),
-      synced: false,
-    }
-
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(["notes", "syncQueue"], "readwrite")
-
-      // Add note
-      const notesStore = tx.objectStore("notes")
-      notesStore.add(note)
-
-      // Queue sync operation
-      const queueStore = tx.objectStore("syncQueue")
-      queueStore.add({
-        type: "create",
-        clientId,
-        content,
-        created: note.created,
-        updated: note.updated,
-        timestamp: Date.now(),
-      })
-
-      tx.oncomplete = () => resolve(note)
-      tx.onerror = () => reject(tx.error)
-    })
-  }
-
-  async getAllNotes() {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(["notes"], "readonly")
-      const store = tx.objectStore("notes")
-      const request = store.getAll()
-
-      request.onsuccess = () => resolve(request.result)
-      request.onerror = () => reject(request.error)
-    })
-  }
-
-  async getNoteByClientId(clientId) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(["notes"], "readonly")
-      const store = tx.objectStore("notes")
-      const request = store.get(clientId)
-
-      request.onsuccess = () => resolve(request.result)
-      request.onerror = () => reject(request.error)
-    })
-  }
-
-  async updateNote(clientId, content) {
-    const note = await this.getNoteByClientId(clientId)
-    if (!note) throw new Error("Note not found")
-
-    note.content = content
-    note.updated = Date.now()
-    note.synced = false
-
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(["notes", "syncQueue"], "readwrite")
-
-      // Update note
-      const notesStore = tx.objectStore("notes")
-      notesStore.put(note)
-
-      // Queue sync operation
-      const queueStore = tx.objectStore("syncQueue")
-      queueStore.add({
-        type: "update",
-        clientId,
-        serverId: note.serverId,
-        content,
-        updated: note.updated,
-        timestamp: Date.now(),
-      })
-
-      tx.oncomplete = () => resolve(note)
-      tx.onerror = () => reject(tx.error)
-    })
-  }
-
-  async deleteNote(clientId) {
-    const note = await this.getNoteByClientId(clientId)
-
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(["notes", "syncQueue"], "readwrite")
-
-      // Delete note
-      const notesStore = tx.objectStore("notes")
-      notesStore.delete(clientId)
-
-      // Queue sync operation (only if it was synced to server)
-      if (note && note.serverId) {
-        const queueStore = tx.objectStore("syncQueue")
-        queueStore.add({
-          type: "delete",
-          clientId,
-          serverId: note.serverId,
-          timestamp: Date.now(),
-        })
-      }
-
-      tx.oncomplete = () => resolve()
-      tx.onerror = () => reject(tx.error)
-    })
-  }
-
-  async getSyncQueueCount() {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(["syncQueue"], "readonly")
-      const store = tx.objectStore("syncQueue")
-      const request = store.count()
-
-      request.onsuccess = () => resolve(request.result)
-      request.onerror = () => reject(request.error)
-    })
-  }
+// Configuration comes from the server that served this page (see
+// loadConfig). Until it has answered once, the API is on the same origin.
+const DEFAULT_CONFIG = {
+  apiUrl: `${location.origin}/api`,
+  trashRetentionDays: 30,
 }
+let config = { ...DEFAULT_CONFIG }
 
 // App state
 const db = new NotesDB()
 let editingNoteId = null
+let resolvingNoteId = null
+let currentView = "notes" // or "trash"
+let historyNoteId = null
+let historyRevisions = []
+let session = null // { token, user } once signed in
+let searchQuery = ""
+let searchTimer = null
+let filter = null // { type: "tags" | "notebook", value } from the sidebar
+let renderLimit = 0 // Cards rendered so far (see renderPaged)
+let pager = null // Where the list's next cards come from
+let syncing = false
+let eventSource = null
+let eventRetryDelay = 0
+let eventRetryTimer = null
+
+const SYNC_INTERVAL = 60000 // Periodic sync while the page is open
+const EVENT_RETRY_MIN = 1000 // Reconnect backoff for the live event stream
+const EVENT_RETRY_MAX = 30000
+const SEARCH_DELAY = 200 // Debounce for the search box
+const PAGE_SIZE = 30 // Cards rendered at a time
+const SHOW_MORE_MARGIN = 400 // How far below the view more cards load
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000 // Look for a new release hourly
+const MIN_PASSPHRASE_LENGTH = 8
 let swRegistration = null
+let updating = false // Waiting for a new service worker to take over
 
 // UI updates
 function updateNetworkStatus() {
@@ -185,26 +44,52 @@ function updateNetworkStatus() {
     status.className = "status online"
     statusText.textContent = "🟢 Online"
 
-    // Trigger background sync when coming online
-    triggerBackgroundSync()
+    // Push and pull as soon as we're back online, without waiting out
+    // the backoff of anything that failed while the connection was flaky
+    syncNow({ force: true })
+    connectEvents()
   } else {
     status.className = "status offline"
     statusText.textContent = "🔴 Offline"
+    disconnectEvents()
   }
 }
 
-async function updateSyncStatus() {
+function setSyncStatus(state, text) {
   const status = document.getElementById("syncStatus")
   const statusText = document.getElementById("syncStatusText")
 
+  status.className = `status sync-status ${state}`
+  status.title = ""
+  statusText.textContent = text
+}
+
+async function updateSyncStatus() {
+  // Changes the server turned down stay on show until dealt with
+  const failedCount = await db.getDeadLetterCount()
+  const failedBtn = document.getElementById("failedBtn")
+  failedBtn.textContent = `${failedCount} failed`
+  failedBtn.classList.toggle("hidden", failedCount === 0)
+
+  // Progress messages own the status bar while a sync runs
+  if (syncing) return
+
   const queueCount = await db.getSyncQueueCount()
+  const [retrying] = await db.getRetryingOperations()
 
   if (queueCount === 0) {
-    status.className = "status sync-status synced"
-    statusText.textContent = "✓ All synced"
+    setSyncStatus("synced", "✓ All synced")
+  } else if (retrying) {
+    // Sync Now sends them straight away
+    const time = new Date(retrying.nextAttemptAt).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+    setSyncStatus("", `⟳ ${queueCount} pending, retrying at ${time}`)
+    document.getElementById("syncStatus").title =
+      `Last error: ${retrying.lastError.message}`
   } else {
-    status.className = "status sync-status"
-    statusText.textContent = `⟳ ${queueCount} pending`
+    setSyncStatus("", `⟳ ${queueCount} pending`)
   }
 }
 
@@ -224,12 +109,82 @@ function formatDate(timestamp) {
   )
 }
 
+// What to show for an API error response ({ error: { code, message } })
+function errorText(result, fallback) {
+  const error = result && result.error
+  if (!error || !error.message) return fallback
+  if (error.code === "OFFLINE") return "You need to be online for this."
+
+  return `${error.message[0].toUpperCase()}${error.message.slice(1)}.`
+}
+
+function noteState(note) {
+  if (note.conflict) {
+    return { className: "conflicted", badge: "conflict", label: "⚠ Conflict" }
+  }
+  if (!note.synced) {
+    return { className: "pending-sync", badge: "pending", label: "⟳ Pending" }
+  }
+  return { className: "", badge: "synced", label: "✓ Synced" }
+}
+
+// Naive line merge: our lines first, then server lines we don't have
+function mergeLines(mine, theirs) {
+  const ours = mine.split("\n")
+  const seen = new Set(ours)
+  const extra = theirs.split("\n").filter((line) => !seen.has(line))
+  return [...ours, ...extra].join("\n")
+}
+
+// Line diff via longest common subsequence - plenty for note-sized text
+function diffLines(before, after) {
+  const a = before.split("\n")
+  const b = after.split("\n")
+
+  // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  )
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: "removed", text: a[i++] })
+    } else {
+      lines.push({ type: "added", text: b[j++] })
+    }
+  }
+  while (i < a.length) lines.push({ type: "removed", text: a[i++] })
+  while (j < b.length) lines.push({ type: "added", text: b[j++] })
+
+  return lines
+}
+
 function escapeHtml(text) {
   const div = document.createElement("div")
   div.textContent = text
   return div.innerHTML
 }
 
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;")
+}
+
 // async function renderNotes() {
 //   const notesList = document.getElementById("notesList")
 //   const notes = await db.getAllNotes()
@@ -266,45 +221,446 @@ function escapeHtml(text) {
 //   await updateSyncStatus()
 // }
 
-async function renderNotes() {
-  const notesList = document.getElementById("notesList")
-  const notes = await db.getAllNotes()
-
-  if (notes.length === 0) {
-    notesList.innerHTML = `
-        <div class="empty-state">
-          <h3>No notes yet</h3>
-          <p>Create your first note above to get started!</p>
+function renderTrashCard(note) {
+  return `
+      <div class="note-card trashed"
+        data-client-id="${escapeAttribute(note.clientId)}">
+        <div class="note-header">
+          <div class="note-time">Deleted · ${formatDate(note.deleted)}</div>
         </div>
-      `
-    return
+        ${
+          note.locked
+            ? LOCKED_CONTENT
+            : `<div class="note-content markdown">${renderMarkdown(
+                note.content,
+                { tasks: false }
+              )}</div>`
+        }
+        <div class="note-actions">
+          <button class="btn btn-small" data-action="restore">Restore</button>
+        </div>
+      </div>
+    `
+}
+
+function renderNoteMeta(note) {
+  const tags = note.tags || []
+  if (!note.notebook && tags.length === 0) return ""
+
+  return `
+        <div class="note-meta">
+          ${
+            note.notebook
+              ? `<span class="note-notebook">📓 ${escapeHtml(note.notebook)}</span>`
+              : ""
+          }
+          ${tags
+            .map((tag) => `<span class="note-tag">#${escapeHtml(tag)}</span>`)
+            .join("")}
+        </div>`
+}
+
+// Notebooks and tags of the live notes, with counts, for filtering
+function renderSidebar(notes) {
+  const notebooks = new Map()
+  const tags = new Map()
+
+  for (const note of notes) {
+    if (note.notebook) {
+      notebooks.set(note.notebook, (notebooks.get(note.notebook) || 0) + 1)
+    }
+    for (const tag of note.tags || []) {
+      tags.set(tag, (tags.get(tag) || 0) + 1)
+    }
   }
 
-  notes.sort((a, b) => b.updated - a.updated)
+  const item = (type, value, label, count) => {
+    const active = filter
+      ? filter.type === type && filter.value === value
+      : type === ""
+    return `
+      <button class="sidebar-item ${active ? "active" : ""}"
+        data-filter-type="${type}" data-filter-value="${escapeAttribute(value)}">
+        <span>${escapeHtml(label)}</span>
+        <span class="sidebar-count">${count}</span>
+      </button>`
+  }
 
-  notesList.innerHTML = notes
-    .map(
-      (note) => `
-      <div class="note-card ${!note.synced ? "pending-sync" : ""}">
+  const section = (title, entries, type, prefix) =>
+    entries.size > 0
+      ? `<h3>${title}</h3>` +
+        [...entries]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([name, count]) => item(type, name, prefix + name, count))
+          .join("")
+      : ""
+
+  document.getElementById("sidebar").innerHTML =
+    item("", "", "All notes", notes.length) +
+    section("Notebooks", notebooks, "notebook", "📓 ") +
+    section("Tags", tags, "tags", "#")
+
+  // Suggest existing notebooks in the editor
+  document.getElementById("notebookOptions").innerHTML = [...notebooks.keys()]
+    .map((name) => `<option value="${escapeAttribute(name)}">`)
+    .join("")
+}
+
+function matchesFilter(note) {
+  if (!filter) return true
+  return filter.type === "tags"
+    ? (note.tags || []).includes(filter.value)
+    : note.notebook === filter.value
+}
+
+function setFilter(type, value) {
+  filter = type ? { type, value } : null
+  switchView("notes")
+}
+
+const LOCKED_CONTENT = `
+        <div class="note-content note-locked">🔒 Encrypted - unlock to read</div>`
+
+// A note we can't decrypt (see NotesDB.openNote) can only be deleted
+function renderLockedCard(note) {
+  const state = noteState(note)
+  return `
+      <div class="note-card ${state.className}"
+        data-client-id="${escapeAttribute(note.clientId)}">
+        <div class="note-header">
+          <div class="note-time">${formatDate(note.updated)}</div>
+          <div class="note-badge ${state.badge}">
+            ${state.label}
+          </div>
+        </div>
+        ${LOCKED_CONTENT}
+        ${renderNoteMeta(note)}
+        <div class="note-actions">
+          <button class="btn btn-small btn-delete" data-action="delete">
+            Delete
+          </button>
+        </div>
+      </div>
+    `
+}
+
+// What the data-action buttons on the cards do, given the note's clientId
+const NOTE_ACTIONS = {
+  edit: editNote,
+  history: showHistory,
+  delete: deleteNote,
+  restore: restoreNote,
+  resolve: resolveConflict,
+}
+
+// contentHtml replaces the rendered Markdown, e.g. with a search snippet
+function renderNoteCard(note, contentHtml) {
+  if (note.locked) return renderLockedCard(note)
+
+  const state = noteState(note)
+  return `
+      <div class="note-card ${state.className}"
+        data-client-id="${escapeAttribute(note.clientId)}">
         <div class="note-header">
           <div class="note-time">${formatDate(note.updated)}</div>
-          <div class="note-badge ${note.synced ? "synced" : "pending"}">
-            ${note.synced ? "✓ Synced" : "⟳ Pending"}
+          <div class="note-badge ${state.badge}">
+            ${state.label}
           </div>
         </div>
-        <div class="note-content">${escapeHtml(note.content)}</div>
+        ${
+          contentHtml
+            ? `<div class="note-content">${contentHtml}</div>`
+            : `<div class="note-content markdown">${renderMarkdown(
+                note.content
+              )}</div>`
+        }
+        ${renderNoteMeta(note)}
         <div class="note-actions">
-          <button class="btn btn-small" onclick="editNote('${
-            note.clientId
-          }')">Edit</button>
-          <button class="btn btn-small btn-delete" onclick="deleteNote('${
-            note.clientId
-          }')">Delete</button>
+          ${
+            note.conflict
+              ? `<button class="btn btn-small btn-resolve" data-action="resolve">Resolve</button>`
+              : ""
+          }
+          <button class="btn btn-small" data-action="edit">Edit</button>
+          <button class="btn btn-small" data-action="history">History</button>
+          <button class="btn btn-small btn-delete" data-action="delete">
+            Delete
+          </button>
         </div>
       </div>
     `
+}
+
+async function renderNotes() {
+  // Nothing to show until someone signs in
+  if (!session || !session.token) return
+
+  // Only the cards that are shown get opened (see NotesDB.openNote)
+  const notesList = document.getElementById("notesList")
+  const allNotes = await db.getAllNotes()
+  const trash = allNotes.filter((note) => note.deleted)
+  const notes = allNotes.filter((note) => !note.deleted)
+
+  // Only a list that has cards gets paged
+  pager = null
+  updateShowMore()
+
+  await updateSyncStatus()
+  updateEncryptionStatus(notes)
+  renderSidebar(notes)
+
+  document.getElementById("trashViewBtn").textContent =
+    trash.length > 0 ? `🗑 Trash (${trash.length})` : "🗑 Trash"
+
+  if (currentView === "trash") {
+    if (trash.length === 0) {
+      notesList.innerHTML = `
+        <div class="empty-state">
+          <h3>Trash is empty</h3>
+          <p>Deleted notes stay here for ${config.trashRetentionDays} days.</p>
+        </div>
+      `
+      return
+    }
+
+    trash.sort((a, b) => b.deleted - a.deleted)
+    await renderPaged(localPages(trash), renderTrashCard)
+    return
+  }
+
+  if (searchQuery) {
+    const found = await searchNotes(searchQuery)
+    const results = found.filter(({ note }) => matchesFilter(note))
+
+    if (results.length === 0) {
+      notesList.innerHTML = `
+        <div class="empty-state">
+          <h3>No matching notes</h3>
+          <p>Try other words, a "quoted phrase", a prefix* or -excluded.</p>
+        </div>
+      `
+      return
+    }
+
+    const pages = localPages(results, async (result) => ({
+      ...result,
+      note: await db.openNote(result.note),
+    }))
+    await renderPaged(pages, ({ note, snippet }) =>
+      renderNoteCard(note, snippet)
     )
-    .join("")
+    return
+  }
+
+  const visible = notes.filter(matchesFilter)
+
+  if (visible.length === 0) {
+    notesList.innerHTML = filter
+      ? `
+        <div class="empty-state">
+          <h3>Nothing here</h3>
+          <p>No notes in this ${filter.type === "tags" ? "tag" : "notebook"}.</p>
+        </div>
+      `
+      : `
+        <div class="empty-state">
+          <h3>No notes yet</h3>
+          <p>Create your first note above to get started!</p>
+        </div>
+      `
+    return
+  }
+
+  visible.sort((a, b) => b.updated - a.updated)
+  const pages = navigator.onLine ? serverPages(visible) : localPages(visible)
+  await renderPaged(pages, (note) => renderNoteCard(note))
+}
+
+// Long lists are rendered a page at a time. loadPage resolves with the
+// next one as { items, done, left }. Re-rendering keeps as many cards as
+// were already showing; more are added as the end of the list scrolls
+// into view.
+async function renderPaged(loadPage, renderItem) {
+  const current = { loadPage, renderItem, done: false, left: 0, busy: true }
+  pager = current
+
+  const wanted = Math.max(renderLimit, PAGE_SIZE)
+  const cards = []
+  while (cards.length < wanted && !current.done) {
+    const page = await loadPage()
+    cards.push(...page.items.map(renderItem))
+    Object.assign(current, { done: page.done, left: page.left })
+  }
+
+  // A newer render took over while pages were loading
+  if (pager !== current) return
+
+  current.busy = false
+  renderLimit = cards.length
+  document.getElementById("notesList").innerHTML = cards.join("")
+  updateShowMore()
+  loadWhileVisible()
+}
+
+async function showMoreNotes() {
+  const current = pager
+  if (!current || current.done || current.busy) return
+
+  current.busy = true
+  try {
+    const page = await current.loadPage()
+    if (pager !== current) return
+
+    Object.assign(current, { done: page.done, left: page.left })
+    renderLimit += page.items.length
+    document
+      .getElementById("notesList")
+      .insertAdjacentHTML(
+        "beforeend",
+        page.items.map(current.renderItem).join("")
+      )
+  } catch (error) {
+    console.error("Couldn't load more notes:", error)
+  } finally {
+    current.busy = false
+  }
+  updateShowMore()
+  loadWhileVisible()
+}
+
+// The observer in init only fires as the button comes into view, so one
+// that's still in view after a page was added has to be checked for
+function loadWhileVisible() {
+  const button = document.getElementById("showMoreBtn")
+  if (button.classList.contains("hidden")) return
+
+  const { top } = button.getBoundingClientRect()
+  if (top < window.innerHeight + SHOW_MORE_MARGIN) showMoreNotes()
+}
+
+function updateShowMore() {
+  const button = document.getElementById("showMoreBtn")
+
+  button.classList.toggle("hidden", !pager || pager.done)
+  button.textContent =
+    pager && pager.left ? `Show more (${pager.left} left)` : "Show more"
+}
+
+// Pages of a list we already have. Items are opened (see
+// NotesDB.openNote) only as their page is shown.
+function localPages(items, open = (note) => db.openNote(note)) {
+  let next = 0
+  return async () => {
+    const page = items.slice(next, next + PAGE_SIZE)
+    next += page.length
+    return {
+      items: await Promise.all(page.map(open)),
+      done: next >= items.length,
+      left: items.length - next,
+    }
+  }
+}
+
+// Pages of the notes list as the server has it (GET /api/notes), newest
+// first. Each note is shown as our own copy, so local state and actions
+// carry over; ones we haven't pulled yet turn up after the next sync.
+// Notes the server hasn't got yet lead the first page. When the server
+// can't be reached the rest of `notes` is paged locally instead.
+function serverPages(notes) {
+  const ours = new Map(notes.map((note) => [note.clientId, note]))
+  const shown = new Set()
+  let cursor = null
+  let fallback = null
+
+  const fetchPage = async () => {
+    const page = shown.size === 0 ? notes.filter((note) => !note.serverId) : []
+    do {
+      const params = new URLSearchParams({ limit: PAGE_SIZE })
+      if (cursor) params.set("cursor", cursor)
+      if (filter) {
+        params.set(filter.type === "tags" ? "tag" : "notebook", filter.value)
+      }
+
+      const response = await fetch(`${config.apiUrl}/notes?${params}`, {
+        headers: { Authorization: `Bearer ${session.token}` },
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const { notes: listed, nextCursor } = await response.json()
+      for (const { clientId } of listed) {
+        const note = ours.get(clientId)
+        if (note && !shown.has(clientId)) page.push(note)
+      }
+      cursor = nextCursor
+    } while (page.length === 0 && cursor)
+
+    for (const note of page) shown.add(note.clientId)
+    return { items: await db.openNotes(page), done: !cursor, left: 0 }
+  }
+
+  return async () => {
+    if (!fallback) {
+      try {
+        return await fetchPage()
+      } catch (error) {
+        console.error("Couldn't list notes from the server:", error)
+        fallback = localPages(notes.filter((note) => !shown.has(note.clientId)))
+      }
+    }
+    return fallback()
+  }
+}
+
+// Start from the first page again when the list changes
+function resetPaging() {
+  renderLimit = 0
+}
+
+// Neither the server nor the local index can look inside encrypted notes,
+// so those are searched separately and listed after the rest
+async function searchNotes(query) {
+  const terms = parseSearchQuery(query)
+  const plain = await searchPlainNotes(query, terms)
+  return [...plain, ...(await db.searchEncrypted(terms))]
+}
+
+// Search the server when we can reach it, otherwise the local index. Both
+// understand the same query syntax (search.js).
+async function searchPlainNotes(query, terms) {
+  if (navigator.onLine) {
+    try {
+      const response = await fetch(
+        `${config.apiUrl}/notes/search?q=${encodeURIComponent(query)}`,
+        { headers: { Authorization: `Bearer ${session.token}` } }
+      )
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      // Show our own copy of each note so local state and actions carry
+      // over. Notes encrypted since are left to searchEncrypted.
+      const { results } = await response.json()
+      const found = []
+      for (const result of results) {
+        const note = await db.getNoteByClientId(result.clientId)
+        if (note && !note.deleted && !isEncrypted(note.content)) {
+          found.push({ note, snippet: result.snippet })
+        }
+      }
+      return found
+    } catch (error) {
+      console.error("Server search failed, searching offline:", error)
+    }
+  }
+
+  return db.search(terms)
+}
+
+function onSearchInput(event) {
+  clearTimeout(searchTimer)
+  searchTimer = setTimeout(() => {
+    searchQuery = event.target.value.trim()
+    resetPaging()
+    renderNotes()
+  }, SEARCH_DELAY)
 }
 
 async function createOrUpdateNote() {
@@ -316,31 +672,92 @@ async function createOrUpdateNote() {
     return
   }
 
-  if (editingNoteId) {
-    await db.updateNote(editingNoteId, content)
-    editingNoteId = null
-    document.getElementById("createBtn").textContent = "Save Note"
-  } else {
-    await db.addNote(content)
+  // Hashtags in the text are added to these
+  const tagsInput = document.getElementById("tagsInput")
+  const notebookInput = document.getElementById("notebookInput")
+  const fields = {
+    tags: tagsInput.value.split(","),
+    notebook: notebookInput.value,
+  }
+
+  // The note stays in the editor until it can be encrypted
+  try {
+    if (editingNoteId) {
+      await db.updateNote(editingNoteId, content, fields)
+      editingNoteId = null
+      document.getElementById("createBtn").textContent = "Save Note"
+    } else {
+      await db.addNote(content, fields)
+    }
+  } catch (error) {
+    if (error.name !== "LockedError") throw error
+    return showEncryptionModal(`${error.message} to save this note.`)
   }
 
   input.value = ""
+  tagsInput.value = ""
+  notebookInput.value = ""
+  setEditorMode("write")
   await renderNotes()
 
   // Trigger background sync
   triggerBackgroundSync()
 }
 
-window.editNote = async function (clientId) {
-  const note = await db.getNoteByClientId(clientId)
+async function editNote(clientId) {
+  const stored = await db.getNoteByClientId(clientId)
+  const note = await db.openNote(stored)
+  if (note.locked) return showEncryptionModal()
+
+  // Tags come from the stored note: an encrypted note's hashtags aren't
+  // among them
   document.getElementById("noteInput").value = note.content
+  document.getElementById("tagsInput").value = explicitTags(stored).join(", ")
+  document.getElementById("notebookInput").value = note.notebook || ""
   document.getElementById("createBtn").textContent = "Update Note"
   editingNoteId = clientId
+  setEditorMode("write")
   window.scrollTo({ top: 0, behavior: "smooth" })
 }
 
-window.deleteNote = async function (clientId) {
-  if (confirm("Delete this note?")) {
+// mode is "write" or "preview"
+function setEditorMode(mode) {
+  const input = document.getElementById("noteInput")
+  const preview = document.getElementById("notePreview")
+
+  if (mode === "preview") {
+    preview.innerHTML = input.value.trim()
+      ? renderMarkdown(input.value, { tasks: false })
+      : `<p class="preview-empty">Nothing to preview</p>`
+  }
+
+  input.classList.toggle("hidden", mode === "preview")
+  preview.classList.toggle("hidden", mode !== "preview")
+  document
+    .getElementById("writeTabBtn")
+    .classList.toggle("active", mode === "write")
+  document
+    .getElementById("previewTabBtn")
+    .classList.toggle("active", mode === "preview")
+}
+
+// Ticking a checkbox in a rendered note edits its Markdown source
+async function toggleNoteTask(clientId, index) {
+  const stored = await db.getNoteByClientId(clientId)
+  if (!stored) return
+
+  const note = await db.openNote(stored)
+  if (note.locked) return showEncryptionModal()
+
+  await db.updateNote(clientId, toggleTask(note.content, index))
+  await renderNotes()
+
+  // Trigger background sync
+  triggerBackgroundSync()
+}
+
+async function deleteNote(clientId) {
+  if (confirm("Move this note to the trash?")) {
     await db.deleteNote(clientId)
     await renderNotes()
 
@@ -349,25 +766,993 @@ window.deleteNote = async function (clientId) {
   }
 }
 
-// Service Worker registration and background sync
-async function registerServiceWorker() {
-  if (!("serviceWorker" in navigator)) {
-    console.log("Service Workers not supported")
-    document.getElementById("swStatusText").textContent = "SW: Not supported"
-    return
-  }
+async function restoreNote(clientId) {
+  await db.restoreNote(clientId)
+  await renderNotes()
 
-  try {
-    swRegistration = await navigator.serviceWorker.register("/sw.js")
-    console.log("Service Worker registered:", swRegistration)
-    document.getElementById("swStatusText").textContent = "⚡ SW: Active"
+  // Trigger background sync
+  triggerBackgroundSync()
+}
+
+function switchView(view) {
+  currentView = view
+  resetPaging()
+  document
+    .getElementById("notesViewBtn")
+    .classList.toggle("active", view === "notes")
+  document
+    .getElementById("trashViewBtn")
+    .classList.toggle("active", view === "trash")
+  renderNotes()
+}
+
+// Revision history
+async function showHistory(clientId) {
+  const note = await db.getNoteByClientId(clientId)
+  if (!note) return
+
+  historyNoteId = clientId
+  historyRevisions = []
+  const hint = document.getElementById("historyHint")
+  hint.textContent = ""
+  document.getElementById("historyModal").classList.remove("hidden")
+
+  // Offline, the service worker may still have the history cached
+  if (!note.serverId) {
+    hint.textContent = "History is available once the note has synced."
+    return renderHistory()
+  }
+
+  try {
+    const response = await fetch(
+      `${config.apiUrl}/notes/${note.serverId}/revisions`,
+      { headers: { Authorization: `Bearer ${session.token}` } }
+    )
+    if (response.status === 401) {
+      closeHistoryModal()
+      return signedOut()
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const stored = cachedAt(response)
+    if (stored) {
+      hint.textContent = `Showing cached data from ${formatDate(stored)}.`
+    }
+
+    const { revisions } = await response.json()
+    const labelled = revisions.map((revision) => ({
+      ...revision,
+      label: `v${revision.version} · ${formatDate(revision.updated)}`,
+    }))
+
+    // Edits that haven't synced yet are newer than anything on the server
+    if (note.content !== revisions[0].content) {
+      labelled.unshift({
+        content: note.content,
+        updated: note.updated,
+        label: "Local (not synced)",
+      })
+    }
+
+    // Versions encrypted with a key we don't have can't be compared
+    historyRevisions = await Promise.all(
+      labelled.map(async (revision) => {
+        const content = await db.openContent(revision.content)
+        return content === null
+          ? { ...revision, content: "🔒 Can't be decrypted", locked: true }
+          : { ...revision, content }
+      })
+    )
+  } catch (error) {
+    console.error("Failed to load history:", error)
+    hint.textContent = navigator.onLine
+      ? "Couldn't load the history for this note."
+      : "This note's history isn't available offline yet."
+  }
+
+  renderHistory()
+}
+
+function renderHistory() {
+  const options = historyRevisions
+    .map((revision, i) => `<option value="${i}">${revision.label}</option>`)
+    .join("")
+
+  const from = document.getElementById("historyFrom")
+  const to = document.getElementById("historyTo")
+  from.innerHTML = options
+  to.innerHTML = options
+
+  // Start by comparing the previous version with the latest
+  from.value = String(Math.min(1, historyRevisions.length - 1))
+  to.value = "0"
+
+  renderHistoryDiff()
+}
+
+function renderHistoryDiff() {
+  const diff = document.getElementById("historyDiff")
+  const from = historyRevisions[document.getElementById("historyFrom").value]
+  const to = historyRevisions[document.getElementById("historyTo").value]
+
+  document.getElementById("revertBtn").disabled = !from || from.locked
+
+  if (!from || !to) {
+    diff.innerHTML = ""
+    return
+  }
+
+  const symbols = { same: " ", added: "+", removed: "-" }
+  diff.innerHTML = diffLines(from.content, to.content)
+    .map(
+      (line) =>
+        `<div class="diff-line ${line.type}">${symbols[line.type]} ${escapeHtml(
+          line.text
+        )}</div>`
+    )
+    .join("")
+}
+
+function closeHistoryModal() {
+  historyNoteId = null
+  historyRevisions = []
+  document.getElementById("historyModal").classList.add("hidden")
+}
+
+// Reverting is just another edit, so it syncs like one
+async function revertToRevision() {
+  const revision =
+    historyRevisions[document.getElementById("historyFrom").value]
+  const stored = await db.getNoteByClientId(historyNoteId)
+  const note = stored && (await db.openNote(stored))
+
+  if (revision && note && revision.content !== note.content) {
+    await db.updateNote(historyNoteId, revision.content)
+    await renderNotes()
+
+    // Trigger background sync
+    triggerBackgroundSync()
+  }
+
+  closeHistoryModal()
+}
+
+// Conflict resolution
+async function resolveConflict(clientId) {
+  const stored = await db.getNoteByClientId(clientId)
+  if (!stored || !stored.conflict) return
+
+  const note = await db.openNote(stored)
+  if (note.locked) return showEncryptionModal()
+
+  resolvingNoteId = clientId
+  document.getElementById("conflictHint").textContent = note.conflict.deleted
+    ? "This note was moved to the trash on another device before your " +
+      "edit synced. Keep theirs to leave it there, or anything else to " +
+      "restore it."
+    : "This note was changed on another device before your edit synced."
+  document.getElementById("conflictLocal").textContent = note.content
+  document.getElementById("conflictServer").textContent = note.conflict.content
+  document.getElementById("conflictMerged").value = mergeLines(
+    note.content,
+    note.conflict.content
+  )
+  document.getElementById("conflictModal").classList.remove("hidden")
+}
+
+function closeConflictModal() {
+  resolvingNoteId = null
+  document.getElementById("conflictModal").classList.add("hidden")
+}
+
+async function finishConflict(choice) {
+  const stored = await db.getNoteByClientId(resolvingNoteId)
+  if (!stored || !stored.conflict) return closeConflictModal()
+
+  const note = await db.openNote(stored)
+  if (note.locked) return closeConflictModal()
+
+  let content
+  if (choice === "mine") content = note.content
+  if (choice === "theirs") content = note.conflict.content
+  if (choice === "merged") {
+    content = document.getElementById("conflictMerged").value.trim()
+    if (!content) {
+      alert("The merged note can't be empty!")
+      return
+    }
+  }
+
+  await db.resolveConflict(resolvingNoteId, content)
+  closeConflictModal()
+  await renderNotes()
+
+  // Trigger background sync
+  triggerBackgroundSync()
+}
+
+// Failed changes - operations the sync engine gave up on, kept in the
+// deadLetter store until they're retried or discarded
+const OPERATION_LABELS = {
+  create: "New note",
+  update: "Edit",
+  delete: "Delete",
+  restore: "Restore",
+}
+
+async function showFailedChanges() {
+  await renderFailedChanges()
+  document.getElementById("failedModal").classList.remove("hidden")
+}
+
+function closeFailedChanges() {
+  document.getElementById("failedModal").classList.add("hidden")
+}
+
+async function renderFailedChanges() {
+  const entries = await db.getDeadLetters()
+  const list = document.getElementById("failedList")
+
+  if (entries.length === 0) {
+    list.innerHTML = `<div class="empty-state">Nothing failed.</div>`
+    return
+  }
+
+  const items = await Promise.all(
+    entries.map(async (entry) => {
+      // Deletes and restores don't carry the note's content
+      const note = await db.getNoteByClientId(entry.clientId)
+      const content = await db.openContent(
+        entry.content || (note && note.content) || ""
+      )
+      const firstLine =
+        content === null
+          ? "🔒 Encrypted note"
+          : content.trim().split("\n")[0] || "(empty note)"
+      const failedAt = formatDate(entry.failedAt)
+      // Entries from before attempts were counted had one
+      const attempts = entry.attempts || 1
+      const tries = attempts === 1 ? "1 try" : `${attempts} tries`
+
+      return `
+        <div class="failed-item" data-id="${entry.id}">
+          <div class="failed-summary">
+            <strong>${OPERATION_LABELS[entry.type]}</strong>
+            ${escapeHtml(firstLine)}
+          </div>
+          <div class="failed-error">
+            ${escapeHtml(entry.error)} · ${tries} · ${failedAt}
+          </div>
+          <button class="btn btn-small" data-action="retry">Retry</button>
+          <button class="btn btn-small btn-delete" data-action="discard">
+            Discard
+          </button>
+        </div>
+      `
+    })
+  )
+  list.innerHTML = items.join("")
+}
+
+async function handleFailedAction(event) {
+  const button = event.target.closest("[data-action]")
+  if (!button) return
+
+  const id = Number(button.closest("[data-id]").dataset.id)
+  if (button.dataset.action === "retry") {
+    await db.retryDeadLetter(id)
+    triggerBackgroundSync()
+  } else {
+    await db.discardDeadLetter(id)
+  }
+
+  await renderFailedChanges()
+  await renderNotes()
+}
+
+// Sync - runSync() comes from sync.js, shared with the service worker
+function handleSyncMessage(message) {
+  switch (message.type) {
+    case "SYNC_PROGRESS":
+      syncing = true
+      setSyncStatus(
+        "syncing",
+        message.phase === "push"
+          ? `⟳ Syncing ${message.done}/${message.total}`
+          : "⟳ Fetching changes"
+      )
+      break
+
+    case "SYNC_CONFLICT":
+      console.warn("Sync conflict on note:", message.clientId)
+      renderNotes()
+      break
+
+    case "SYNC_COMPLETE":
+      console.log("Sync completed!", message.summary)
+      syncing = false
+      // Notes may have arrived under a key set up on another device
+      refreshEncryption().then(renderNotes) // Refresh UI
+      break
+
+    case "SYNC_ERROR":
+      syncing = false
+      setSyncStatus("error", "⚠ Sync failed")
+      document.getElementById("syncStatus").title = message.error
+      break
+
+    case "AUTH_REQUIRED":
+      syncing = false
+      signedOut()
+      break
+  }
+}
+
+// Foreground sync, for the Sync Now button, the timer, coming back online
+// and browsers without the Background Sync API. `force` is passed on to
+// syncNotes() in sync.js.
+async function syncNow({ force = false } = {}) {
+  if (!navigator.onLine || !session || !session.token) return
+
+  const syncBtn = document.getElementById("syncBtn")
+  syncBtn.disabled = true
+
+  try {
+    const summary = await runSync({
+      apiUrl: config.apiUrl,
+      notify: handleSyncMessage,
+      force,
+    })
+
+    // null means another tab or the service worker is already syncing
+    if (summary) handleSyncMessage({ type: "SYNC_COMPLETE", summary })
+  } catch (error) {
+    if (error.name === "AuthRequiredError") {
+      handleSyncMessage({ type: "AUTH_REQUIRED" })
+      return
+    }
+
+    console.error("Sync failed:", error)
+    handleSyncMessage({ type: "SYNC_ERROR", error: error.message })
+  } finally {
+    syncBtn.disabled = false
+  }
+}
+
+// Live updates from other tabs and devices (Server-Sent Events)
+function connectEvents() {
+  if (eventSource || !navigator.onLine || !("EventSource" in window)) return
+  if (!session || !session.token) return
+
+  // EventSource can't send headers, so the token goes in the URL
+  clearTimeout(eventRetryTimer)
+  eventSource = new EventSource(
+    `${config.apiUrl}/events?token=${encodeURIComponent(session.token)}`
+  )
+
+  eventSource.onopen = () => {
+    // Catch up on anything we missed while disconnected
+    if (eventRetryDelay > 0) syncNow()
+    eventRetryDelay = 0
+  }
+
+  eventSource.onerror = () => {
+    disconnectEvents()
+    if (!navigator.onLine) return
+
+    eventRetryDelay = Math.min(
+      Math.max(eventRetryDelay * 2, EVENT_RETRY_MIN),
+      EVENT_RETRY_MAX
+    )
+    console.log(`Event stream dropped, reconnecting in ${eventRetryDelay}ms`)
+    eventRetryTimer = setTimeout(connectEvents, eventRetryDelay)
+  }
+
+  for (const type of ["created", "updated", "deleted", "restored"]) {
+    eventSource.addEventListener(type, (event) => {
+      applyServerEvent(type, JSON.parse(event.data))
+    })
+  }
+}
+
+function disconnectEvents() {
+  clearTimeout(eventRetryTimer)
+  if (!eventSource) return
+
+  eventSource.close()
+  eventSource = null
+}
+
+async function applyServerEvent(type, note) {
+  try {
+    await applyRemoteChanges([
+      { type: type === "deleted" ? "delete" : "upsert", note },
+    ])
+    await renderNotes()
+  } catch (error) {
+    console.error("Failed to apply server event:", error)
+  }
+}
+
+// Encryption (see crypto.js). The key settings live on the server so
+// every device can derive the same key from the passphrase; the key
+// itself only exists in this page while the notes are unlocked.
+const ENCRYPTION_STATES = {
+  off: "Notes are stored and synced as plain text.",
+  locked: "Your notes are encrypted. Enter your passphrase to read them.",
+  unlocked: "Your notes are encrypted and unlocked in this tab.",
+}
+
+function encryptionState() {
+  if (!db.encryption) return "off"
+  return db.locked ? "locked" : "unlocked"
+}
+
+// The account bar button, and the notice over a list with notes we can't
+// read
+function updateEncryptionStatus(notes) {
+  const labels = {
+    off: "Encryption",
+    locked: "🔒 Locked",
+    unlocked: "🔓 Unlocked",
+  }
+  document.getElementById("encryptionBtn").textContent =
+    labels[encryptionState()]
+
+  const locked = notes.filter((note) => db.isLocked(note)).length
+  document
+    .getElementById("lockedNotice")
+    .classList.toggle("hidden", locked === 0)
+  document.getElementById("lockedText").textContent =
+    locked === 1
+      ? "1 note is encrypted. Unlock it to read or edit it."
+      : `${locked} notes are encrypted. Unlock them to read or edit them.`
+}
+
+// The key settings can change on another device, which locks this one
+// until the new passphrase is entered
+async function refreshEncryption() {
+  if (!navigator.onLine || !session || !session.token) return
+
+  // A key switch made here goes to the server before its settings are
+  // taken. One that clashed after a reload can't be put back without the
+  // old key, so it's kept here, unpushed, rather than lose any notes.
+  if ((await saveKeySwitch()) !== "done") return
+
+  try {
+    const response = await fetch(`${config.apiUrl}/encryption`, {
+      headers: { Authorization: `Bearer ${session.token}` },
+    })
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const { encryption } = await response.json()
+    await db.setEncryption(encryption)
+  } catch (error) {
+    console.error("Failed to fetch encryption settings:", error)
+  }
+}
+
+function showEncryptionModal(message = "") {
+  for (const id of ["passphraseInput", "newPassphraseInput", "repeatInput"]) {
+    document.getElementById(id).value = ""
+  }
+  renderEncryptionModal()
+  setEncryptionStatus(message)
+  document.getElementById("encryptionModal").classList.remove("hidden")
+}
+
+function closeEncryptionModal() {
+  document.getElementById("encryptionModal").classList.add("hidden")
+}
+
+function setEncryptionStatus(text) {
+  document.getElementById("encryptionStatus").textContent = text
+}
+
+// Only the controls for the current state are shown
+function renderEncryptionModal() {
+  const state = encryptionState()
+  const show = (id, visible) =>
+    document.getElementById(id).classList.toggle("hidden", !visible)
+
+  document.getElementById("encryptionState").textContent =
+    ENCRYPTION_STATES[state]
+  show("passphraseInput", state !== "off")
+  show("newPassphraseInput", state !== "locked")
+  show("repeatInput", state !== "locked")
+  show("unlockBtn", state === "locked")
+  show("enableEncryptionBtn", state === "off")
+  show("changePassphraseBtn", state === "unlocked")
+  show("disableEncryptionBtn", state === "unlocked")
+  show("lockBtn", state === "unlocked")
+}
+
+async function unlockNotes() {
+  setEncryptionStatus("Unlocking...")
+  const passphrase = document.getElementById("passphraseInput").value
+
+  if (!(await db.unlock(passphrase))) {
+    setEncryptionStatus("Wrong passphrase.")
+    return
+  }
+
+  closeEncryptionModal()
+  await renderNotes()
+}
+
+function lockNotes() {
+  db.lock()
+  closeEncryptionModal()
+  renderNotes()
+}
+
+// Changing the key means re-encrypting every note, so it's checked with
+// the current passphrase first
+async function checkPassphrase() {
+  const passphrase = document.getElementById("passphraseInput").value
+  if (await unlockKey(passphrase, db.encryption)) return true
+
+  setEncryptionStatus("Wrong passphrase.")
+  return false
+}
+
+// The new passphrase, typed twice, or null when it won't do
+function newPassphrase() {
+  const passphrase = document.getElementById("newPassphraseInput").value
+  const repeated = document.getElementById("repeatInput").value
+
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    setEncryptionStatus(
+      `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`
+    )
+    return null
+  }
+  if (passphrase !== repeated) {
+    setEncryptionStatus("The passphrases don't match.")
+    return null
+  }
+  return passphrase
+}
+
+// Turns encryption on (settings and key of a new key), off (nulls) or
+// over to a new key. Every note is re-encrypted and queued here first and
+// the server takes the new settings last, so no note is left with a key
+// nobody has the settings for. Until the server has them, nothing is
+// pushed (see saveKeySwitch).
+async function switchKey(settings, key) {
+  if (!navigator.onLine) {
+    setEncryptionStatus("You need to be online for this.")
+    return
+  }
+
+  // These would be stuck with a key that's gone (see changeEncryption)
+  const notes = await db.openNotes(await db.getAllNotes())
+  const stuck = notes.filter((note) => note.locked || note.conflict)
+  if (stuck.some((note) => !note.deleted)) {
+    setEncryptionStatus(
+      "Resolve conflicts and delete notes that can't be decrypted first."
+    )
+    return
+  }
+  if (stuck.length > 0) {
+    setEncryptionStatus(
+      "Restore and resolve the conflicts in the trash first. Notes there " +
+        "that can't be decrypted have to be purged from it first."
+    )
+    return
+  }
+
+  // Retrying one after the switch would send its content as it was
+  if ((await db.getDeadLetterCount()) > 0) {
+    setEncryptionStatus(
+      "Retry or discard the changes that failed to sync first."
+    )
+    return
+  }
+
+  // A queued delete would land before the re-encrypted copy and clash
+  // with it
+  setEncryptionStatus("Syncing...")
+  await syncNow({ force: true })
+  if ((await db.getSyncQueueCount()) > 0) {
+    setEncryptionStatus("Some changes haven't synced yet. Try again later.")
+    return
+  }
+
+  setEncryptionStatus("Re-encrypting your notes...")
+  const previous = { settings: db.encryption, key: db.key }
+  await db.changeEncryption(settings, key)
+
+  const outcome = await saveKeySwitch()
+  if (outcome === "clashed") {
+    // Nothing was pushed yet, so the notes can go back to the old key
+    // before taking the server's
+    await db.changeEncryption(previous.settings, previous.key)
+    await db.clearKeySwitch()
+    await refreshEncryption()
+    renderEncryptionModal()
+    await renderNotes()
+    setEncryptionStatus("The key was changed on another device meanwhile.")
+    return
+  }
+
+  await renderNotes()
+  if (outcome === "failed") {
+    renderEncryptionModal()
+    setEncryptionStatus(
+      "Changed here. It syncs once the server can be reached again."
+    )
+    return
+  }
+
+  closeEncryptionModal()
+
+  // Trigger background sync
+  triggerBackgroundSync()
+}
+
+// Saves the settings of a key switch made here (see changeEncryption in
+// notes-db.js) on the server, which lets the queue go out. Resolves with
+// "done", "clashed" when another device switched keys first, or "failed".
+async function saveKeySwitch() {
+  const keySwitch = await db.getKeySwitch()
+  if (!keySwitch) return "done"
+
+  try {
+    const response = await fetch(`${config.apiUrl}/encryption`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${session.token}`,
+      },
+      body: JSON.stringify(keySwitch),
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      if (!result.error || result.error.code !== "KEY_CHANGED") {
+        console.error("Failed to save the key switch:", result)
+        return "failed"
+      }
+
+      // Saved before, but the answer never arrived
+      const current = result.error.details.encryption
+      const keyId = (settings) => (settings ? settings.keyId : null)
+      if (keyId(current) !== keyId(keySwitch.encryption)) return "clashed"
+    }
+  } catch (error) {
+    console.error("Failed to save the key switch:", error)
+    return "failed"
+  }
+
+  await db.clearKeySwitch()
+  return "done"
+}
+
+async function enableEncryption() {
+  const passphrase = newPassphrase()
+  if (!passphrase) return
+
+  setEncryptionStatus("Setting up...")
+  const { key, settings } = await createKey(passphrase)
+  await switchKey(settings, key)
+}
+
+async function changePassphrase() {
+  const passphrase = newPassphrase()
+  if (!passphrase || !(await checkPassphrase())) return
+
+  setEncryptionStatus("Setting up...")
+  const { key, settings } = await createKey(passphrase)
+  await switchKey(settings, key)
+}
+
+async function disableEncryption() {
+  if (!(await checkPassphrase())) return
+  if (!confirm("Store and sync your notes as plain text again?")) return
+
+  await switchKey(null, null)
+}
+
+// Accounts
+function showAuthModal() {
+  // Keep the previous account's notes off screen while signed out
+  document.getElementById("notesList").innerHTML = ""
+  document.getElementById("accountStatus").classList.add("hidden")
+  document.getElementById("authError").textContent = ""
+  document.getElementById("authModal").classList.remove("hidden")
+  document.getElementById("usernameInput").focus()
+}
+
+function showAccount() {
+  document.getElementById("accountName").textContent = session.user.username
+  document.getElementById("accountStatus").classList.remove("hidden")
+  document.getElementById("authModal").classList.add("hidden")
+}
+
+// mode is "login" or "register"
+async function signIn(mode) {
+  const username = document.getElementById("usernameInput").value.trim()
+  const password = document.getElementById("passwordInput").value
+  const authError = document.getElementById("authError")
+
+  if (!navigator.onLine) {
+    authError.textContent = "You need to be online to sign in."
+    return
+  }
+
+  try {
+    const response = await fetch(`${config.apiUrl}/auth/${mode}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      authError.textContent = errorText(result, "Couldn't sign in.")
+      return
+    }
+
+    // Notes stored here belong to whoever signed in before. Pending edits
+    // survive signing back in as the same user, but not a switch.
+    const previous = await db.getAuth()
+    if (previous && previous.user.id !== result.user.id) {
+      await db.clearLocalData()
+      clearApiCache()
+    }
+
+    session = result
+    await db.setAuth(session)
+    document.getElementById("passwordInput").value = ""
+
+    showAccount()
+    await refreshEncryption()
+    await renderNotes()
+    syncNow()
+    connectEvents()
+  } catch (error) {
+    console.error("Sign in failed:", error)
+    authError.textContent = "Couldn't reach the server."
+  }
+}
+
+async function signOut() {
+  try {
+    await fetch(`${config.apiUrl}/auth/logout`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${session.token}` },
+    })
+  } catch (error) {
+    // The session will expire on its own
+    console.error("Sign out request failed:", error)
+  }
+
+  clearApiCache()
+  await signedOut()
+}
+
+// The token is gone (signed out, or rejected by the server). Local notes
+// and the sync queue stay until someone else signs in.
+async function signedOut() {
+  if (session) session = { ...session, token: null }
+  await db.setAuth(session)
+  db.lock()
+
+  disconnectEvents()
+  setSyncStatus("error", "⚠ Signed out")
+  showAuthModal()
+}
+
+// Backup and export. Backups are read straight from IndexedDB and work
+// offline; exports and imports go through the server.
+function showDataModal() {
+  document.getElementById("dataStatus").textContent = ""
+  document.getElementById("dataModal").classList.remove("hidden")
+}
+
+function closeDataModal() {
+  document.getElementById("dataModal").classList.add("hidden")
+}
+
+function setDataStatus(text) {
+  document.getElementById("dataStatus").textContent = text
+}
+
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+async function downloadBackup() {
+  const backup = await db.exportBackup(session && session.user)
+  const blob = new Blob([JSON.stringify(backup)], { type: "application/json" })
+
+  downloadFile(blob, `notes-backup-${today()}.json`)
+  setDataStatus(
+    `Saved ${backup.notes.length} notes and ${backup.syncQueue.length} unsynced changes.`
+  )
+}
+
+async function restoreBackup(file) {
+  let backup
+  try {
+    backup = JSON.parse(await file.text())
+  } catch {
+    backup = null
+  }
+
+  const valid =
+    backup &&
+    backup.format === BACKUP_FORMAT &&
+    Array.isArray(backup.notes) &&
+    Array.isArray(backup.syncQueue)
+  if (!valid) {
+    setDataStatus("That file isn't a notes backup.")
+    return
+  }
+
+  // Restored notes are encrypted like any other
+  if (db.locked) {
+    setDataStatus("Unlock your notes first.")
+    return
+  }
+
+  let counts
+  try {
+    counts = await db.restoreBackup(backup, session.user)
+  } catch (error) {
+    console.error("Failed to restore backup:", error)
+    setDataStatus("Couldn't restore that backup.")
+    return
+  }
+
+  const { restored, skipped, unreadable, invalid } = counts
+  setDataStatus(
+    `Restored ${restored} notes` +
+      (skipped > 0
+        ? ` (kept ${skipped} newer copies from this browser).`
+        : ".") +
+      (unreadable > 0
+        ? ` ${unreadable} were encrypted with a key that's gone.`
+        : "") +
+      (invalid > 0 ? ` ${invalid} damaged entries were left out.` : "")
+  )
+
+  await renderNotes()
+  await updateSyncStatus()
+  triggerBackgroundSync()
+}
+
+// format is "json" or "zip"
+async function exportNotes(format) {
+  if (!navigator.onLine) {
+    setDataStatus(
+      "You need to be online to export - download a backup instead."
+    )
+    return
+  }
+
+  try {
+    const response = await fetch(`${config.apiUrl}/export?format=${format}`, {
+      headers: { Authorization: `Bearer ${session.token}` },
+    })
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    downloadFile(await response.blob(), `notes-${today()}.${format}`)
+    setDataStatus("Export downloaded.")
+  } catch (error) {
+    console.error("Export failed:", error)
+    setDataStatus("Export failed.")
+  }
+}
+
+// Takes a JSON export or a zip of Markdown files. The imported notes
+// arrive with the next sync.
+async function importNotes(file) {
+  if (!navigator.onLine) {
+    setDataStatus("You need to be online to import.")
+    return
+  }
+
+  try {
+    const zip = /\.zip$/i.test(file.name)
+    const response = await fetch(`${config.apiUrl}/import`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${session.token}`,
+        "Content-Type": zip ? "application/zip" : "application/json",
+      },
+      body: file,
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      setDataStatus(errorText(result, "Import failed."))
+      return
+    }
+
+    setDataStatus(
+      `Imported ${result.imported} notes (${result.skipped} already here, ${result.invalid} invalid).`
+    )
+    syncNow()
+  } catch (error) {
+    console.error("Import failed:", error)
+    setDataStatus("Import failed.")
+  }
+}
+
+// Fetches the config from the server that served this page, falling back
+// to the last one stored when offline. Null settings keep their default.
+async function loadConfig() {
+  let loaded
+  try {
+    const response = await fetch("/api/config")
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    loaded = await response.json()
+    await db.setMeta("config", loaded)
+  } catch (error) {
+    console.log("Using stored config:", error.message)
+    loaded = await db.getMeta("config")
+  }
+
+  config = { ...DEFAULT_CONFIG }
+  for (const [key, value] of Object.entries(loaded || {})) {
+    if (value != null) config[key] = value
+  }
+}
+
+// The service worker's cached API reads belong to the account that made
+// them (see API_ROUTES in sw.js)
+function clearApiCache() {
+  const worker = navigator.serviceWorker && navigator.serviceWorker.controller
+  if (worker) worker.postMessage({ type: "CLEAR_API_CACHE" })
+}
+
+// When a response came from the service worker's cache, the time it was
+// stored; otherwise null
+function cachedAt(response) {
+  return response.headers.get("X-Cache") === "stale"
+    ? Number(response.headers.get("X-Cached-At"))
+    : null
+}
+
+// Service Worker registration and background sync
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) {
+    console.log("Service Workers not supported")
+    document.getElementById("swStatusText").textContent = "SW: Not supported"
+    return
+  }
+
+  try {
+    // The worker imports the asset manifest, which must be checked for
+    // changes on every update check too
+    swRegistration = await navigator.serviceWorker.register("/sw.js", {
+      updateViaCache: "none",
+    })
+    console.log("Service Worker registered:", swRegistration)
+    document.getElementById("swStatusText").textContent = "⚡ SW: Active"
+
+    // The worker has no page origin to ask, so it gets our config
+    navigator.serviceWorker.ready.then((registration) => {
+      registration.active.postMessage({ type: "CONFIG", config })
+    })
+
+    watchForUpdates(swRegistration)
 
     // Listen for messages from SW
     navigator.serviceWorker.addEventListener("message", (event) => {
-      if (event.data.type === "SYNC_COMPLETE") {
-        console.log("Background sync completed!")
-        renderNotes() // Refresh UI
-      }
+      handleSyncMessage(event.data)
     })
   } catch (error) {
     console.error("Service Worker registration failed:", error)
@@ -375,26 +1760,74 @@ async function registerServiceWorker() {
   }
 }
 
+// A new worker waits instead of taking over, so this tab keeps running the
+// code it loaded. The user reloads onto the new version from the banner.
+function watchForUpdates(registration) {
+  const check = () => {
+    // Without a controller this is the first install, not an update
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      document.getElementById("updateBanner").classList.remove("hidden")
+    }
+  }
+
+  check()
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed") check()
+    })
+  })
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updating) window.location.reload()
+  })
+
+  setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL)
+}
+
+function applyUpdate() {
+  const worker = swRegistration && swRegistration.waiting
+  if (!worker) return window.location.reload()
+
+  // Reloads once the new worker is in control (see watchForUpdates)
+  updating = true
+  worker.postMessage({ type: "SKIP_WAITING" })
+}
+
 async function triggerBackgroundSync() {
-  if (!swRegistration || !navigator.onLine) return
+  if (!navigator.onLine) return
 
-  try {
-    if ("sync" in swRegistration) {
+  if (swRegistration && "sync" in swRegistration) {
+    try {
       await swRegistration.sync.register("sync-notes")
       console.log("Background sync registered")
-    } else {
-      console.log("Background Sync API not supported")
+      return
+    } catch (error) {
+      console.error("Failed to register background sync:", error)
     }
-  } catch (error) {
-    console.error("Failed to register background sync:", error)
   }
+
+  // No Background Sync API (Firefox, Safari) - sync from the page instead
+  syncNow()
 }
 
 // Initialize app
 async function init() {
   await db.init()
+  await loadConfig()
+  await db.purgeLocalTrash(
+    Date.now() - config.trashRetentionDays * 24 * 60 * 60 * 1000
+  )
   await registerServiceWorker()
-  await renderNotes()
+
+  session = await db.getAuth()
+  if (session && session.token) {
+    showAccount()
+    await renderNotes()
+    refreshEncryption().then(renderNotes)
+  } else {
+    showAuthModal()
+  }
   updateNetworkStatus()
 
   // Event listeners
@@ -402,6 +1835,163 @@ async function init() {
     .getElementById("createBtn")
     .addEventListener("click", createOrUpdateNote)
 
+  document
+    .getElementById("syncBtn")
+    .addEventListener("click", () => syncNow({ force: true }))
+  document.getElementById("reloadBtn").addEventListener("click", applyUpdate)
+  document
+    .getElementById("searchInput")
+    .addEventListener("input", onSearchInput)
+
+  document
+    .getElementById("writeTabBtn")
+    .addEventListener("click", () => setEditorMode("write"))
+  document
+    .getElementById("previewTabBtn")
+    .addEventListener("click", () => setEditorMode("preview"))
+
+  // Load more cards as the end of the list comes into view
+  const showMoreBtn = document.getElementById("showMoreBtn")
+  showMoreBtn.addEventListener("click", showMoreNotes)
+  if ("IntersectionObserver" in window) {
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) showMoreNotes()
+      },
+      { rootMargin: `${SHOW_MORE_MARGIN}px` }
+    )
+    observer.observe(showMoreBtn)
+  }
+
+  // Card buttons name their action; the card says which note it's for
+  document.getElementById("notesList").addEventListener("click", (event) => {
+    const button = event.target.closest("[data-action]")
+    if (!button) return
+
+    const card = button.closest("[data-client-id]")
+    NOTE_ACTIONS[button.dataset.action](card.dataset.clientId)
+  })
+
+  document.getElementById("notesList").addEventListener("change", (event) => {
+    const checkbox = event.target.closest("[data-task]")
+    if (!checkbox) return
+
+    const card = checkbox.closest("[data-client-id]")
+    toggleNoteTask(card.dataset.clientId, Number(checkbox.dataset.task))
+  })
+
+  document.getElementById("sidebar").addEventListener("click", (event) => {
+    const item = event.target.closest("[data-filter-type]")
+    if (item) setFilter(item.dataset.filterType, item.dataset.filterValue)
+  })
+
+  document
+    .getElementById("loginBtn")
+    .addEventListener("click", () => signIn("login"))
+  document
+    .getElementById("registerBtn")
+    .addEventListener("click", () => signIn("register"))
+  document.getElementById("passwordInput").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") signIn("login")
+  })
+  document.getElementById("signOutBtn").addEventListener("click", signOut)
+
+  document.getElementById("dataBtn").addEventListener("click", showDataModal)
+  document
+    .getElementById("encryptionBtn")
+    .addEventListener("click", () => showEncryptionModal())
+  document
+    .getElementById("lockedUnlockBtn")
+    .addEventListener("click", () => showEncryptionModal())
+  document.getElementById("unlockBtn").addEventListener("click", unlockNotes)
+  document
+    .getElementById("passphraseInput")
+    .addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && db.locked) unlockNotes()
+    })
+  document.getElementById("lockBtn").addEventListener("click", lockNotes)
+  document
+    .getElementById("enableEncryptionBtn")
+    .addEventListener("click", enableEncryption)
+  document
+    .getElementById("changePassphraseBtn")
+    .addEventListener("click", changePassphrase)
+  document
+    .getElementById("disableEncryptionBtn")
+    .addEventListener("click", disableEncryption)
+  document
+    .getElementById("closeEncryptionBtn")
+    .addEventListener("click", closeEncryptionModal)
+  document
+    .getElementById("failedBtn")
+    .addEventListener("click", showFailedChanges)
+  document
+    .getElementById("failedList")
+    .addEventListener("click", handleFailedAction)
+  document
+    .getElementById("closeFailedBtn")
+    .addEventListener("click", closeFailedChanges)
+  document
+    .getElementById("closeDataBtn")
+    .addEventListener("click", closeDataModal)
+  document
+    .getElementById("downloadBackupBtn")
+    .addEventListener("click", downloadBackup)
+  document
+    .getElementById("exportJsonBtn")
+    .addEventListener("click", () => exportNotes("json"))
+  document
+    .getElementById("exportZipBtn")
+    .addEventListener("click", () => exportNotes("zip"))
+
+  // The file inputs are hidden behind buttons; each clears itself so the
+  // same file can be picked twice
+  const filePicker = (buttonId, inputId, handler) => {
+    const input = document.getElementById(inputId)
+    document
+      .getElementById(buttonId)
+      .addEventListener("click", () => input.click())
+    input.addEventListener("change", () => {
+      if (input.files[0]) handler(input.files[0])
+      input.value = ""
+    })
+  }
+  filePicker("restoreBackupBtn", "restoreBackupInput", restoreBackup)
+  filePicker("importBtn", "importInput", importNotes)
+
+  document
+    .getElementById("notesViewBtn")
+    .addEventListener("click", () => switchView("notes"))
+  document
+    .getElementById("trashViewBtn")
+    .addEventListener("click", () => switchView("trash"))
+
+  document
+    .getElementById("historyFrom")
+    .addEventListener("change", renderHistoryDiff)
+  document
+    .getElementById("historyTo")
+    .addEventListener("change", renderHistoryDiff)
+  document
+    .getElementById("revertBtn")
+    .addEventListener("click", revertToRevision)
+  document
+    .getElementById("closeHistoryBtn")
+    .addEventListener("click", closeHistoryModal)
+
+  document
+    .getElementById("keepMineBtn")
+    .addEventListener("click", () => finishConflict("mine"))
+  document
+    .getElementById("keepTheirsBtn")
+    .addEventListener("click", () => finishConflict("theirs"))
+  document
+    .getElementById("saveMergedBtn")
+    .addEventListener("click", () => finishConflict("merged"))
+  document
+    .getElementById("cancelConflictBtn")
+    .addEventListener("click", closeConflictModal)
+
   document.getElementById("noteInput").addEventListener("keydown", (e) => {
     if (e.ctrlKey && e.key === "Enter") {
       createOrUpdateNote()
@@ -411,6 +2001,8 @@ async function init() {
   // Network status listeners
   window.addEventListener("online", updateNetworkStatus)
   window.addEventListener("offline", updateNetworkStatus)
+
+  setInterval(syncNow, SYNC_INTERVAL)
 }
 
 init()
@@ -0,0 +1,145 @@
+// Search query syntax, shared by the page, the service worker and the
+// server (which requires this file):
+//
+//   apple pie      notes containing both words
+//   "apple pie"    the exact phrase
+//   app*           words starting with "app"
+//   -banana        notes without "banana"
+
+const SNIPPET_WORDS = 24 // Words shown around the first match
+const SNIPPET_LEAD = 6 // ...of which come before it
+
+// Words in the text with their positions. Like SQLite's unicode61
+// tokenizer: letters and digits only, lowercased, accents removed.
+function searchWords(text) {
+  return Array.from(text.matchAll(/[\p{L}\p{N}\p{M}]+/gu), (match) => ({
+    word: match[0].normalize("NFD").replace(/\p{M}/gu, "").toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  })).filter(({ word }) => word)
+}
+
+function searchTokens(text) {
+  return searchWords(text).map(({ word }) => word)
+}
+
+// Returns a list of terms, each { words, prefix, negated }. A term with
+// more than one word is a phrase.
+function parseSearchQuery(query) {
+  const terms = []
+
+  for (const match of query.matchAll(/(-?)"([^"]*)"?(\*?)|(\S+)/g)) {
+    const quoted = match[4] === undefined
+    const text = quoted ? match[2] : match[4]
+    const words = searchTokens(text)
+    if (words.length === 0) continue
+
+    terms.push({
+      words,
+      prefix: quoted ? match[3] === "*" : text.endsWith("*"),
+      negated: quoted ? match[1] === "-" : text.startsWith("-"),
+    })
+  }
+
+  return terms
+}
+
+// Token indexes where the term starts
+function termPositions(tokens, term) {
+  const positions = []
+  const last = term.words.length - 1
+
+  for (let i = 0; i + last < tokens.length; i++) {
+    const found = term.words.every((word, k) =>
+      term.prefix && k === last
+        ? tokens[i + k].startsWith(word)
+        : tokens[i + k] === word
+    )
+    if (found) positions.push(i)
+  }
+
+  return positions
+}
+
+// Scores text against parsed terms by how often the wanted terms occur.
+// 0 means no match; a query needs at least one term that isn't negated.
+function matchSearchQuery(text, terms) {
+  const tokens = searchTokens(text)
+  let score = 0
+
+  for (const term of terms) {
+    const hits = termPositions(tokens, term).length
+
+    if (term.negated ? hits > 0 : hits === 0) return 0
+    if (!term.negated) score += hits
+  }
+
+  return score
+}
+
+// An HTML excerpt around the first match with matched words in <mark>.
+// Everything else is escaped.
+function searchSnippet(text, terms) {
+  const words = searchWords(text)
+  const tokens = words.map(({ word }) => word)
+  const marked = new Set()
+
+  for (const term of terms) {
+    if (term.negated) continue
+
+    for (const i of termPositions(tokens, term)) {
+      term.words.forEach((word, k) => marked.add(i + k))
+    }
+  }
+
+  const first = marked.size > 0 ? Math.min(...marked) : 0
+  const from = Math.max(0, first - SNIPPET_LEAD)
+  const to = Math.min(words.length, from + SNIPPET_WORDS)
+
+  let html = from > 0 ? "… " : ""
+  let position = from > 0 ? words[from].start : 0
+
+  for (let i = from; i < to; i++) {
+    const { start, end } = words[i]
+    const word = escapeSearchText(text.slice(start, end))
+
+    html += escapeSearchText(text.slice(position, start))
+    html += marked.has(i) ? `<mark>${word}</mark>` : word
+    position = end
+  }
+
+  return to < words.length
+    ? `${html} …`
+    : html + escapeSearchText(text.slice(position))
+}
+
+function escapeSearchText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+// The record a note gets in the client's searchIndex store: its distinct
+// words, looked up through a multiEntry index on `terms`. Encrypted notes
+// get none (see isEncrypted in crypto.js, which has to be loaded too) -
+// NotesDB searches them once they're unlocked.
+function searchIndexEntry(note) {
+  return {
+    clientId: note.clientId,
+    terms: isEncrypted(note.content)
+      ? []
+      : [...new Set(searchTokens(note.content))],
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    searchTokens,
+    parseSearchQuery,
+    matchSearchQuery,
+    searchSnippet,
+    searchIndexEntry,
+  }
+}
@@ -1,21 +1,71 @@
 // Service Worker for offline-first notes app
-const CACHE_NAME = "notes-app-v1"
-const API_URL = "http://localhost:3000/api" // UPDATE THIS if using ngrok
 
-// Assets to cache on install
-const ASSETS = ["/", "/index.html"]
+// The asset manifest (ASSET_MANIFEST), the IndexedDB schema - the worker
+// may be the first to open the database after an update - with the search,
+// tag and encryption helpers its upgrades use, then the shared sync engine
+// (runSync)
+importScripts(
+  "/asset-manifest.js",
+  "/crypto.js",
+  "/search.js",
+  "/tags.js",
+  "/schema.js",
+  "/sync.js"
+)
 
-// Install event - cache assets
+// Every release gets its own cache, named after the manifest's hash
+const CACHE_NAME = `notes-app-${self.ASSET_MANIFEST.version}`
+const ASSETS = Object.keys(self.ASSET_MANIFEST.assets)
+
+// API reads are kept in a cache of their own, which outlives releases.
+// Answers from it carry X-Cache: stale and X-Cached-At (ms).
+const API_CACHE = "notes-api"
+const HOUR = 60 * 60 * 1000
+
+// How each API path is fetched - the first match wins. Paths that aren't
+// listed, and every request that isn't a GET, are network-only.
+const API_ROUTES = [
+  // The sync engine keeps its own cursor; a replayed page would confuse it
+  { path: /\/api\/changes$/, strategy: "network-only" },
+  // The page falls back to its own search index, which is more current
+  { path: /\/api\/notes\/search$/, strategy: "network-only" },
+  {
+    path: /\/api\/notes\/\d+\/revisions$/,
+    strategy: "network-first",
+    maxAge: 7 * 24 * HOUR,
+    maxEntries: 50,
+  },
+  {
+    path: /\/api\/notes$/,
+    strategy: "network-first",
+    maxAge: 24 * HOUR,
+    maxEntries: 20,
+  },
+  {
+    path: /\/api\/(health|config|auth\/me)$/,
+    strategy: "network-first",
+    maxAge: 24 * HOUR,
+    maxEntries: 5,
+  },
+]
+
+// Server config, posted by the page (CONFIG message). A worker started
+// without a page - for a background sync - uses what the page last stored.
+let config = null
+
+// Install event - cache every asset. The new worker then waits until the
+// page tells it to take over (SKIP_WAITING), so open tabs never end up
+// running a mix of old and new code.
 self.addEventListener("install", (event) => {
-  console.log("[SW] Installing...")
+  console.log("[SW] Installing", CACHE_NAME)
   event.waitUntil(
-    caches
-      .open(CACHE_NAME)
-      .then((cache) => {
-        console.log("[SW] Caching app assets")
-        return cache.addAll(ASSETS)
-      })
-      .then(() => self.skipWaiting())
+    caches.open(CACHE_NAME).then((cache) => {
+      console.log("[SW] Caching app assets")
+      // Skip the HTTP cache, which may still hold the previous release
+      return cache.addAll(
+        ASSETS.map((url) => new Request(url, { cache: "reload" }))
+      )
+    })
   )
 })
 
@@ -28,7 +78,7 @@ self.addEventListener("activate", (event) => {
       .then((cacheNames) => {
         return Promise.all(
           cacheNames
-            .filter((name) => name !== CACHE_NAME)
+            .filter((name) => name !== CACHE_NAME && name !== API_CACHE)
             .map((name) => caches.delete(name))
         )
       })
@@ -36,190 +86,205 @@ self.addEventListener("activate", (event) => {
   )
 })
 
-// Fetch event - network first, fallback to cache
+// Fetch event - API requests by route, assets from the cache
 self.addEventListener("fetch", (event) => {
   const { request } = event
 
-  // API requests: network-first strategy
+  // Live event streams go straight to the network
+  if (request.headers.get("Accept") === "text/event-stream") return
+
+  // API requests: by route (see API_ROUTES)
   if (request.url.includes("/api/")) {
+    const route = apiRoute(request)
     event.respondWith(
-      fetch(request).catch(() => {
-        // If network fails, we're offline
-        return new Response(
-          JSON.stringify({ error: "Offline", offline: true }),
-          {
-            status: 503,
-            headers: { "Content-Type": "application/json" },
-          }
-        )
-      })
+      route.strategy === "network-first"
+        ? networkFirst(request, route)
+        : networkOnly(request)
     )
     return
   }
 
-  // Assets: cache-first strategy
-  event.respondWith(
-    caches.match(request).then((response) => response || fetch(request))
-  )
-})
-
-// Background Sync - sync when connection returns
-self.addEventListener("sync", (event) => {
-  console.log("[SW] Background sync triggered:", event.tag)
+  // Only our own files are cached
+  const sameOrigin = new URL(request.url).origin === self.location.origin
+  if (request.method !== "GET" || !sameOrigin) return
 
-  if (event.tag === "sync-notes") {
-    event.waitUntil(syncNotes())
+  // Assets in the manifest are this release's, so they're cache-first. A
+  // network copy may already be the next release's and is never stored.
+  if (ASSETS.includes(new URL(request.url).pathname)) {
+    event.respondWith(cacheFirst(request))
+    return
   }
-})
 
-async function syncNotes() {
-  console.log("[SW] Starting background sync...")
+  // Anything else of ours: stale-while-revalidate
+  event.respondWith(staleWhileRevalidate(event))
+})
 
-  try {
-    // Open IndexedDB
-    const db = await openDB()
-    const queue = await getSyncQueue(db)
+// The network only answers what the cache lost
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME)
+  return (await cache.match(request)) || fetch(request)
+}
 
-    if (queue.length === 0) {
-      console.log("[SW] Nothing to sync")
-      return
-    }
+// Answers from the cache right away and refreshes the cached copy in the
+// background for next time. Waits for the network only on a cache miss.
+async function staleWhileRevalidate(event) {
+  const { request } = event
+  const cache = await caches.open(CACHE_NAME)
+  const cached =
+    (await cache.match(request)) ||
+    (request.mode === "navigate" ? await cache.match("/") : undefined)
 
-    console.log(`[SW] Syncing ${queue.length} operations...`)
-
-    // Process each operation
-    for (const operation of queue) {
-      try {
-        await syncOperation(operation)
-        await removeSyncOperation(db, operation.id)
-        console.log("[SW] ✓ Synced:", operation.type, operation.id)
-      } catch (error) {
-        console.error("[SW] ✗ Failed to sync:", operation.type, error)
-        // Don't remove from queue if failed - will retry later
-        throw error
-      }
-    }
+  const refresh = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  })
 
-    // Notify all clients that sync is complete
-    const clients = await self.clients.matchAll()
-    clients.forEach((client) => {
-      client.postMessage({ type: "SYNC_COMPLETE" })
-    })
+  if (!cached) return refresh
 
-    console.log("[SW] Sync complete!")
-  } catch (error) {
-    console.error("[SW] Sync failed:", error)
-    throw error // This will cause the sync to be retried
-  }
+  event.waitUntil(refresh.catch(() => {})) // Offline - keep the cached copy
+  return cached
 }
 
-async function syncOperation(operation) {
-  let response
-
-  switch (operation.type) {
-    case "create":
-      response = await fetch(`${API_URL}/notes`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          content: operation.content,
-          clientId: operation.clientId,
-          created: operation.created,
-          updated: operation.updated,
-        }),
-      })
+function apiRoute(request) {
+  const { pathname } = new URL(request.url)
+  const route =
+    request.method === "GET" &&
+    API_ROUTES.find((candidate) => candidate.path.test(pathname))
 
-      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+  return route || { strategy: "network-only" }
+}
+
+function networkOnly(request) {
+  return fetch(request).catch(offlineResponse)
+}
 
-      const serverNote = await response.json()
+// Fresh responses are stored as they pass; the cached copy is only used
+// when the network fails and it hasn't expired
+async function networkFirst(request, route) {
+  const cache = await caches.open(API_CACHE)
 
-      // Update local note with server ID
-      const db = await openDB()
-      await markNoteSynced(db, operation.clientId, serverNote.id)
-      break
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      await cache.put(request, await markStale(response.clone()))
+      await trimApiCache(cache, route)
+    }
+    return response
+  } catch {
+    const cached = await cache.match(request, { ignoreVary: true })
+    const cachedAt = cached && Number(cached.headers.get("X-Cached-At"))
 
-    case "update":
-      if (!operation.serverId) {
-        console.log("[SW] Skipping update - no server ID yet")
-        return
-      }
+    if (cached && Date.now() - cachedAt < route.maxAge) return cached
+    if (cached) await cache.delete(request)
+    return offlineResponse()
+  }
+}
 
-      response = await fetch(`${API_URL}/notes/${operation.serverId}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          content: operation.content,
-          updated: operation.updated,
-        }),
-      })
+// The copy that goes into the cache, labelled for when it comes back out
+async function markStale(response) {
+  const headers = new Headers(response.headers)
+  headers.set("X-Cache", "stale")
+  headers.set("X-Cached-At", String(Date.now()))
 
-      if (!response.ok) throw new Error(`HTTP ${response.status}`)
-      break
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  })
+}
 
-    case "delete":
-      if (!operation.serverId) {
-        console.log("[SW] Skipping delete - no server ID yet")
-        return
-      }
+// Drops the oldest entries for the route beyond its limit
+async function trimApiCache(cache, route) {
+  const keys = (await cache.keys()).filter((key) =>
+    route.path.test(new URL(key.url).pathname)
+  )
+  const excess = keys.length - route.maxEntries
+  if (excess <= 0) return
 
-      response = await fetch(`${API_URL}/notes/${operation.serverId}`, {
-        method: "DELETE",
-      })
+  const entries = await Promise.all(
+    keys.map(async (key) => {
+      const response = await cache.match(key, { ignoreVary: true })
+      return { key, cachedAt: Number(response.headers.get("X-Cached-At")) }
+    })
+  )
 
-      if (!response.ok && response.status !== 404) {
-        throw new Error(`HTTP ${response.status}`)
-      }
-      break
-  }
+  entries.sort((a, b) => a.cachedAt - b.cachedAt)
+  await Promise.all(
+    entries.slice(0, excess).map(({ key }) => cache.delete(key))
+  )
 }
 
-// IndexedDB helpers
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open("offline-notes-db", 2)
-    request.onsuccess = () => resolve(request.result)
-    request.onerror = () => reject(request.error)
-  })
-}
+// Shaped like the server's errors, with a code of our own
+function offlineResponse() {
+  const error = { code: "OFFLINE", message: "You're offline" }
 
-function getSyncQueue(db) {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(["syncQueue"], "readonly")
-    const store = tx.objectStore("syncQueue")
-    const request = store.getAll()
-    request.onsuccess = () => resolve(request.result)
-    request.onerror = () => reject(request.error)
+  return new Response(JSON.stringify({ error }), {
+    status: 503,
+    headers: { "Content-Type": "application/json" },
   })
 }
 
-function removeSyncOperation(db, id) {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(["syncQueue"], "readwrite")
-    const store = tx.objectStore("syncQueue")
-    const request = store.delete(id)
-    request.onsuccess = () => resolve()
-    request.onerror = () => reject(request.error)
-  })
+self.addEventListener("message", (event) => {
+  if (!event.data) return
+
+  if (event.data.type === "CONFIG") config = event.data.config
+  if (event.data.type === "SKIP_WAITING") self.skipWaiting()
+  // Cached API reads belong to whoever was signed in
+  if (event.data.type === "CLEAR_API_CACHE") {
+    event.waitUntil(caches.delete(API_CACHE))
+  }
+})
+
+async function getApiUrl() {
+  if (!config) {
+    const db = await openDB()
+    try {
+      config = await getConfig(db)
+    } finally {
+      db.close()
+    }
+  }
+
+  return (config && config.apiUrl) || `${self.location.origin}/api`
 }
 
-function markNoteSynced(db, clientId, serverId) {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(["notes"], "readwrite")
-    const store = tx.objectStore("notes")
-    const getRequest = store.get(clientId)
-
-    getRequest.onsuccess = () => {
-      const note = getRequest.result
-      if (note) {
-        note.synced = true
-        note.serverId = serverId
-        const putRequest = store.put(note)
-        putRequest.onsuccess = () => resolve()
-        putRequest.onerror = () => reject(putRequest.error)
-      } else {
-        resolve()
-      }
+// Background Sync - sync when connection returns
+self.addEventListener("sync", (event) => {
+  console.log("[SW] Background sync triggered:", event.tag)
+
+  if (event.tag === "sync-notes") {
+    event.waitUntil(backgroundSync())
+  }
+})
+
+async function backgroundSync() {
+  try {
+    const apiUrl = await getApiUrl()
+    const summary = await runSync({ apiUrl, notify: notifyClients })
+
+    // Skipped - the page is already syncing and will report on its own
+    if (!summary) return
+
+    await notifyClients({ type: "SYNC_COMPLETE", summary })
+
+    if (summary.retryable > 0) {
+      throw new Error(`${summary.retryable} operations will be retried`)
     }
-    getRequest.onerror = () => reject(getRequest.error)
-  })
+  } catch (error) {
+    // Retrying won't help until the user signs in - the page resumes then
+    if (error.name === "AuthRequiredError") {
+      await notifyClients({ type: "AUTH_REQUIRED" })
+      return
+    }
+
+    console.error("[SW] Sync failed:", error)
+    await notifyClients({ type: "SYNC_ERROR", error: error.message })
+    throw error // This will cause the sync to be retried
+  }
 }
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll()
+  clients.forEach((client) => client.postMessage(message))
+}
+
@@ -0,0 +1,702 @@
+// Sync engine shared by the page and the service worker. The page loads
+// it with a plain <script> tag, the worker with importScripts().
+
+const SYNC_BATCH_SIZE = 50 // Operations sent per /api/sync request
+const SYNC_LOCK = "notes-sync"
+
+// Error codes (see errors.js on the server) worth trying again later. Any
+// other error would come back the same every time.
+const RETRYABLE_ERRORS = ["INTERNAL_ERROR", "UNAVAILABLE", "OFFLINE"]
+
+// Statuses that mean "not now" rather than anything about the request:
+// a tunnel whose end is offline answers 404 (ngrok does), and timeouts and
+// rate limits pass
+const RETRYABLE_STATUSES = [404, 408, 429]
+
+// Operations that fail with a retryable error wait before going out again,
+// twice as long after each attempt. One that keeps failing with
+// INTERNAL_ERROR for MAX_ATTEMPTS is probably what's breaking the server,
+// so it's given up on. A server that's down or out of reach is waited out
+// however long it takes - the wait is all the protection it needs.
+const RETRY_BASE_DELAY = 5000
+const RETRY_MAX_DELAY = 60 * 60 * 1000
+const MAX_ATTEMPTS = 10
+
+let syncRunning = false
+
+// The server rejected our session (or we never had one). Nothing queued is
+// lost - syncing just pauses until the user signs in again.
+class AuthRequiredError extends Error {
+  constructor() {
+    super("Sign in to sync")
+    this.name = "AuthRequiredError"
+  }
+}
+
+// The server couldn't handle a request right now. Nothing was applied, so
+// it's safe to send again later.
+class SyncRequestError extends Error {
+  constructor(error) {
+    super(error.message)
+    this.name = "SyncRequestError"
+    this.code = error.code
+  }
+}
+
+// Push the queue and pull server changes, unless another run is already
+// going - in this context, another tab or the service worker. Resolves
+// with a summary of the run, or null if it was skipped.
+async function runSync(options) {
+  const locks = self.navigator && self.navigator.locks
+
+  if (locks) {
+    return locks.request(SYNC_LOCK, { ifAvailable: true }, (lock) =>
+      lock ? syncNotes(options) : null
+    )
+  }
+
+  // No Web Locks API - we can only guard against overlapping runs here
+  if (syncRunning) return null
+  syncRunning = true
+  try {
+    return await syncNotes(options)
+  } finally {
+    syncRunning = false
+  }
+}
+
+// `notify` receives SYNC_PROGRESS and SYNC_CONFLICT messages as the run
+// goes, in the same shape the service worker posts to its clients. A
+// `force`d run (the user asked, or the connection came back) doesn't wait
+// for operations backing off after a failure.
+async function syncNotes({
+  apiUrl,
+  batchSize = SYNC_BATCH_SIZE,
+  notify = () => {},
+  force = false,
+}) {
+  console.log("[Sync] Starting sync...")
+
+  const db = await openDB()
+  const summary = {
+    pushed: 0,
+    conflicts: 0,
+    rejected: 0,
+    retryable: 0,
+    requeued: 0,
+    deferred: 0,
+  }
+
+  try {
+    // Anything backing off after a failure sits this run out, and the
+    // whole queue does while the server doesn't have a key switch made
+    // here (see changeEncryption in notes-db.js)
+    const now = Date.now()
+    const pending = await getSyncQueue(db)
+    const queue = (await getKeySwitch(db))
+      ? []
+      : pending.filter((op) => force || !(op.nextAttemptAt > now))
+    summary.deferred = pending.length - queue.length
+
+    if (queue.length === 0) {
+      console.log("[Sync] Nothing to push")
+    } else {
+      console.log(`[Sync] Syncing ${queue.length} operations...`)
+    }
+
+    // Push the queue in batches
+    for (let i = 0; i < queue.length; i += batchSize) {
+      notify({
+        type: "SYNC_PROGRESS",
+        phase: "push",
+        done: i,
+        total: queue.length,
+      })
+
+      const batch = queue.slice(i, i + batchSize)
+      const result = await syncBatch(db, batch, { apiUrl, notify, force })
+
+      for (const key of Object.keys(result)) summary[key] += result[key]
+    }
+
+    // Pull whatever changed on the server since our last cursor
+    notify({ type: "SYNC_PROGRESS", phase: "pull" })
+    summary.pulled = await pullChanges(db, { apiUrl })
+
+    console.log("[Sync] Sync complete!", summary)
+    return summary
+  } finally {
+    db.close()
+  }
+}
+
+// Sends one batch to /api/sync and settles each operation from its result.
+// Resolves with counts of how each operation ended.
+async function syncBatch(db, batch, { apiUrl, notify, force }) {
+  const ready = []
+  const payload = []
+
+  for (const operation of batch) {
+    // The local note may have picked up a server ID or a newer version
+    // since this entry was queued (from its create or an earlier update)
+    const localNote = await getNote(db, operation.clientId)
+    const serverId = operation.serverId || (localNote && localNote.serverId)
+
+    if (operation.type !== "create" && !serverId) {
+      console.log("[Sync] Waiting for server ID:", operation.type, operation.id)
+      continue
+    }
+
+    ready.push(operation)
+    payload.push({
+      type: operation.type,
+      clientId: operation.clientId,
+      serverId,
+      content: operation.content,
+      tags: operation.tags,
+      notebook: operation.notebook,
+      created: operation.created,
+      updated: operation.updated,
+      baseVersion: localNote ? localNote.version : operation.baseVersion,
+    })
+  }
+
+  const counts = {
+    pushed: 0,
+    conflicts: 0,
+    rejected: 0,
+    retryable: 0,
+    requeued: 0,
+  }
+  if (ready.length === 0) return counts
+
+  const response = await authFetch(db, `${apiUrl}/sync`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ operations: payload }),
+  })
+
+  // The batch never ran. While the server is down, everything is kept for
+  // another attempt (see mayRetry). Any other error is
+  // the server refusing something in this batch (such as one note too big
+  // for the size limit), so the operations are sent one at a time until
+  // only the bad ones end up in the dead letter store.
+  if (!response.ok) {
+    const error = await responseError(response)
+    if (RETRYABLE_ERRORS.includes(error.code)) {
+      for (const operation of ready) {
+        if (mayRetry(operation, error, force)) {
+          await scheduleRetry(db, operation, error, force)
+        } else {
+          await moveToDeadLetter(db, operation, error)
+        }
+      }
+      throw new SyncRequestError(error)
+    }
+
+    if (ready.length === 1) {
+      await moveToDeadLetter(db, ready[0], error)
+      counts.rejected++
+      return counts
+    }
+    for (const operation of ready) {
+      const result = await syncBatch(db, [operation], {
+        apiUrl,
+        notify,
+        force,
+      })
+      for (const key of Object.keys(result)) counts[key] += result[key]
+    }
+    return counts
+  }
+
+  const { results } = await response.json()
+
+  for (let i = 0; i < ready.length; i++) {
+    const operation = ready[i]
+    const result = results[i]
+    const { error } = result
+
+    if (result.success) {
+      await settleOperation(db, operation, result.result)
+      counts.pushed++
+      console.log("[Sync] ✓ Synced:", operation.type, operation.id)
+    } else if (error.code === "VERSION_CONFLICT") {
+      // Someone else changed the note since we edited it - park the
+      // server copy on the local note and let the page deal with it
+      await completeOperation(db, operation)
+      await markNoteConflicted(db, operation.clientId, error.details.note)
+      notify({ type: "SYNC_CONFLICT", clientId: operation.clientId })
+      counts.conflicts++
+      console.log("[Sync] Conflict on note:", operation.clientId)
+    } else if (error.code === "NOT_FOUND") {
+      // The server ID is of a note that isn't ours (such as one from before
+      // accounts), so the note has to be created afresh
+      await requeueAsCreate(db, operation.clientId)
+      counts.requeued++
+      console.log("[Sync] Not ours, creating again:", operation.clientId)
+    } else if (mayRetry(operation, error, force)) {
+      await scheduleRetry(db, operation, error, force)
+      counts.retryable++
+      console.error("[Sync] ✗ Failed:", operation.type, error.message)
+    } else {
+      await moveToDeadLetter(db, operation, error)
+      counts.rejected++
+      console.error("[Sync] ✗ Rejected:", operation.type, error.message)
+    }
+  }
+
+  return counts
+}
+
+async function settleOperation(db, operation, serverNote) {
+  await completeOperation(db, operation)
+
+  switch (operation.type) {
+    case "create":
+      // Update local note with server ID. If it was deleted while the
+      // create was in flight, the server copy has to go too.
+      const note = await markNoteSynced(db, operation.clientId, serverNote)
+      if (!note || note.deleted) {
+        await queueDeletion(db, operation.clientId, serverNote.id)
+      }
+      break
+
+    default:
+      // No note back means it's gone from the server - nothing to mark
+      if (serverNote) await markNoteSynced(db, operation.clientId, serverNote)
+  }
+}
+
+// Pull everything that changed on the server since our last cursor.
+// Resolves with the number of changes applied.
+async function pullChanges(db, { apiUrl }) {
+  let cursor = await getSyncCursor(db)
+  let hasMore = true
+  let pulled = 0
+
+  while (hasMore) {
+    const response = await authFetch(db, `${apiUrl}/changes?since=${cursor}`)
+    if (!response.ok) throw new SyncRequestError(await responseError(response))
+
+    const page = await response.json()
+    await applyChanges(db, page.changes, page.cursor)
+    pulled += page.changes.length
+
+    cursor = page.cursor
+    hasMore = page.hasMore
+  }
+
+  return pulled
+}
+
+// Apply changes the server pushed outside a pull (live events). The cursor
+// stays put, so the next pull still covers them.
+async function applyRemoteChanges(changes) {
+  const db = await openDB()
+
+  try {
+    await applyChanges(db, changes)
+  } finally {
+    db.close()
+  }
+}
+
+// fetch() with the stored session token. A rejected token is dropped so
+// we stop sending it, and the run ends with AuthRequiredError.
+async function authFetch(db, url, options = {}) {
+  const auth = await getAuth(db)
+  if (!auth || !auth.token) throw new AuthRequiredError()
+
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${auth.token}` },
+  })
+
+  if (response.status === 401) {
+    await clearAuthToken(db)
+    throw new AuthRequiredError()
+  }
+
+  return response
+}
+
+// The { code, message } of an error response. Proxies and the like answer
+// without one, which counts as the server being unavailable - only our
+// own server can tell what's wrong with a request.
+async function responseError(response) {
+  try {
+    const { error } = await response.json()
+    if (error && error.code && !RETRYABLE_STATUSES.includes(response.status)) {
+      return error
+    }
+  } catch {
+    // Not JSON
+  }
+
+  return { code: "UNAVAILABLE", message: `HTTP ${response.status}` }
+}
+
+// IndexedDB helpers
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = upgradeDatabase
+    request.onsuccess = () => {
+      const db = request.result
+      // Let the page upgrade the schema while we hold a connection
+      db.onversionchange = () => db.close()
+      resolve(db)
+    }
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function getSyncQueue(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["syncQueue"], "readonly")
+    const store = tx.objectStore("syncQueue")
+    const request = store.getAll()
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Remove a finished operation unless the page changed it while it was in
+// flight. A create that picked up an edit becomes an update of the note.
+function completeOperation(db, operation) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["syncQueue"], "readwrite")
+    const store = tx.objectStore("syncQueue")
+    const getRequest = store.get(operation.id)
+
+    getRequest.onsuccess = () => {
+      const current = getRequest.result
+      if (!current) return
+
+      if (current.revision === operation.revision) {
+        store.delete(operation.id)
+      } else if (current.type === "create") {
+        store.put({ ...current, type: "update" })
+      }
+    }
+
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// How long to wait before the given attempt. Each wait is drawn from the
+// upper half of its range, so devices that failed together don't all come
+// back at the same moment.
+function retryDelay(attempts) {
+  const ceiling = Math.min(
+    RETRY_MAX_DELAY,
+    RETRY_BASE_DELAY * 2 ** (attempts - 1)
+  )
+  return ceiling / 2 + (Math.random() * ceiling) / 2
+}
+
+// Whether an operation that just failed with `error` may go out again.
+// Forced runs don't wait for the backoff, so their attempts don't count.
+function mayRetry(operation, error, force) {
+  if (!RETRYABLE_ERRORS.includes(error.code)) return false
+  if (force || error.code !== "INTERNAL_ERROR") return true
+  return (operation.attempts || 0) + 1 < MAX_ATTEMPTS
+}
+
+// Count a failed attempt on the queued entry (unless the run was forced)
+// and hold it back until its next one. The stored entry is updated rather
+// than `operation`, in case the page changed it while it was in flight.
+function scheduleRetry(db, operation, error, force = false) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["syncQueue"], "readwrite")
+    const store = tx.objectStore("syncQueue")
+    const getRequest = store.get(operation.id)
+
+    getRequest.onsuccess = () => {
+      const current = getRequest.result
+      if (!current) return
+
+      const attempts = (current.attempts || 0) + (force ? 0 : 1)
+      store.put({
+        ...current,
+        attempts,
+        lastError: { code: error.code, message: error.message },
+        nextAttemptAt: Date.now() + retryDelay(Math.max(attempts, 1)),
+      })
+    }
+
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// Park an operation the server will never accept so it stops blocking
+// the queue, keeping it and the server's error around for the page to
+// show, retry or discard (see NotesDB)
+function moveToDeadLetter(db, operation, error) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["syncQueue", "deadLetter"], "readwrite")
+    tx.objectStore("syncQueue").delete(operation.id)
+    tx.objectStore("deadLetter").put({
+      ...operation,
+      attempts: (operation.attempts || 0) + 1,
+      error: error.message,
+      errorCode: error.code,
+      failedAt: Date.now(),
+    })
+
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+function queueDeletion(db, clientId, serverId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["syncQueue"], "readwrite")
+    const store = tx.objectStore("syncQueue")
+    const request = store.add({
+      type: "delete",
+      clientId,
+      serverId,
+      timestamp: Date.now(),
+      revision: 0,
+    })
+    request.onsuccess = () => resolve()
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Replace whatever is queued for the note with a create, and drop the
+// server ID and version it had. A note in the trash has nothing to create.
+function requeueAsCreate(db, clientId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["notes", "syncQueue"], "readwrite")
+    const notesStore = tx.objectStore("notes")
+    const queueStore = tx.objectStore("syncQueue")
+    const getRequest = notesStore.get(clientId)
+    const keysRequest = queueStore.index("clientId").getAllKeys(clientId)
+
+    keysRequest.onsuccess = () => {
+      keysRequest.result.forEach((id) => queueStore.delete(id))
+
+      const note = getRequest.result
+      if (!note) return
+
+      notesStore.put({
+        ...note,
+        serverId: null,
+        version: null,
+        synced: Boolean(note.deleted),
+      })
+      if (note.deleted) return
+
+      queueStore.add({
+        type: "create",
+        clientId,
+        content: note.content,
+        tags: note.tags,
+        notebook: note.notebook,
+        created: note.created,
+        updated: note.updated,
+        timestamp: Date.now(),
+        revision: 0,
+      })
+    }
+
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+function getNote(db, clientId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["notes"], "readonly")
+    const store = tx.objectStore("notes")
+    const request = store.get(clientId)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Store the server ID and version on the local note, which only counts as
+// synced once nothing else is queued for it. Resolves with the local note,
+// or null if it no longer exists.
+function markNoteSynced(db, clientId, serverNote) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["notes", "syncQueue"], "readwrite")
+    const store = tx.objectStore("notes")
+    const getRequest = store.get(clientId)
+    let note = null
+
+    getRequest.onsuccess = () => {
+      note = getRequest.result || null
+      if (!note) return
+
+      const countRequest = tx
+        .objectStore("syncQueue")
+        .index("clientId")
+        .count(clientId)
+
+      countRequest.onsuccess = () => {
+        note.synced = countRequest.result === 0
+        note.serverId = serverNote.id
+        note.version = serverNote.version
+        store.put(note)
+      }
+    }
+
+    tx.oncomplete = () => resolve(note)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+function markNoteConflicted(db, clientId, serverNote) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["notes"], "readwrite")
+    const store = tx.objectStore("notes")
+    const getRequest = store.get(clientId)
+
+    getRequest.onsuccess = () => {
+      const note = getRequest.result
+      if (note) {
+        note.synced = false
+        note.conflict = serverNote
+        store.put(note)
+      }
+    }
+
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+function getSyncCursor(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["meta"], "readonly")
+    const store = tx.objectStore("meta")
+    const request = store.get("syncCursor")
+    request.onsuccess = () =>
+      resolve(request.result ? request.result.value : 0)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// The signed-in session, { token, user }, or null. The user stays after the
+// token is dropped so the page knows whose notes are stored locally.
+function getAuth(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["meta"], "readonly")
+    const request = tx.objectStore("meta").get("auth")
+    request.onsuccess = () =>
+      resolve(request.result ? request.result.value : null)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// The server config the page last fetched (see loadConfig() in scripts.js)
+function getConfig(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["meta"], "readonly")
+    const request = tx.objectStore("meta").get("config")
+    request.onsuccess = () =>
+      resolve(request.result ? request.result.value : null)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Key settings changed here but not yet saved on the server, or null
+function getKeySwitch(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["meta"], "readonly")
+    const request = tx.objectStore("meta").get("keySwitch")
+    request.onsuccess = () =>
+      resolve(request.result ? request.result.value : null)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function clearAuthToken(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["meta"], "readwrite")
+    const store = tx.objectStore("meta")
+    const getRequest = store.get("auth")
+
+    getRequest.onsuccess = () => {
+      const auth = getRequest.result
+      if (auth) store.put({ ...auth, value: { ...auth.value, token: null } })
+    }
+
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// Merge pulled changes into the notes store, skipping notes that still
+// have queued local operations, and save the new cursor (if given)
+function applyChanges(db, changes, cursor) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      ["notes", "syncQueue", "meta", "searchIndex"],
+      "readwrite"
+    )
+    const notesStore = tx.objectStore("notes")
+    const searchStore = tx.objectStore("searchIndex")
+    const queueRequest = tx.objectStore("syncQueue").getAll()
+
+    queueRequest.onsuccess = () => {
+      const pending = new Set(queueRequest.result.map((op) => op.clientId))
+
+      for (const change of changes) {
+        const remote = change.note
+        const clientId = remote.clientId || `server_${remote.id}`
+        const getRequest = notesStore.get(clientId)
+
+        getRequest.onsuccess = () => {
+          const local = getRequest.result
+
+          // Purged from the server's trash - gone for good
+          if (change.type === "purge") {
+            if (local && local.serverId === remote.id) {
+              notesStore.delete(clientId)
+              searchStore.delete(clientId)
+            }
+            return
+          }
+
+          // Keep the server side of an unresolved conflict up to date
+          if (local && local.conflict) {
+            notesStore.put({ ...local, conflict: remote })
+            return
+          }
+
+          if (local && pending.has(clientId)) return
+
+          const note = {
+            ...local,
+            clientId,
+            serverId: remote.id,
+            content: remote.content,
+            tags: remote.tags || [],
+            notebook: remote.notebook || null,
+            created: remote.created,
+            updated: remote.updated,
+            version: remote.version,
+            deleted: remote.deleted || null,
+            synced: true,
+          }
+          notesStore.put(note)
+          searchStore.put(searchIndexEntry(note))
+        }
+      }
+
+      if (cursor !== undefined) {
+        tx.objectStore("meta").put({ key: "syncCursor", value: cursor })
+      }
+    }
+
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
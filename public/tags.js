@@ -0,0 +1,61 @@
+// Tags and notebooks, shared by the page and the server (which requires
+// this file). A note's tags are the ones set explicitly plus every
+// #hashtag in its text.
+
+const MAX_TAG_LENGTH = 50
+const MAX_NOTEBOOK_LENGTH = 100
+
+// A hashtag needs a letter, so "#1" stays an issue number, and mustn't
+// follow a word or URL character, so "page#section" isn't one either
+const HASHTAG = /(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_-]*\p{L}[\p{L}\p{N}_-]*)/gu
+
+// "#Work Trip " -> "work-trip". Returns "" for anything that can't be a tag.
+function normalizeTag(tag) {
+  const name = String(tag)
+    .trim()
+    .replace(/^#/, "")
+    .replace(/\s+/g, "-")
+    .toLowerCase()
+
+  return /^[\p{L}\p{N}_-]+$/u.test(name) && name.length <= MAX_TAG_LENGTH
+    ? name
+    : ""
+}
+
+function parseHashtags(content) {
+  return Array.from(content.matchAll(HASHTAG), (match) => match[1])
+}
+
+// Sorted, without duplicates
+function noteTags(content, explicit = []) {
+  const tags = [...explicit, ...parseHashtags(content)]
+    .map(normalizeTag)
+    .filter(Boolean)
+
+  return [...new Set(tags)].sort()
+}
+
+// The tags that don't come from the note's own hashtags
+function explicitTags(note) {
+  const hashtags = noteTags(note.content)
+  return (note.tags || []).filter((tag) => !hashtags.includes(tag))
+}
+
+function normalizeNotebook(notebook) {
+  const name =
+    typeof notebook === "string"
+      ? notebook.trim().slice(0, MAX_NOTEBOOK_LENGTH)
+      : ""
+
+  return name || null
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    normalizeTag,
+    parseHashtags,
+    noteTags,
+    explicitTags,
+    normalizeNotebook,
+  }
+}
@@ -0,0 +1,167 @@
+// Request schemas for the API routes (see validation.js) and the limits
+// they enforce
+const {
+  string,
+  integer,
+  oneOf,
+  array,
+  object,
+  variant,
+  optional,
+  nullable,
+  custom,
+  any,
+  validate,
+} = require("./validation")
+const { SORT_COLUMNS, decodeCursor } = require("./database")
+const { isEncrypted } = require("./public/crypto")
+
+const MAX_CONTENT_LENGTH = 100000 // Characters per note
+const MAX_TAGS = 500 // Sent with each note, hashtags included
+const MAX_SYNC_OPERATIONS = 100 // Per /api/sync request
+const MAX_PAGE_SIZE = 200
+const MAX_CHANGES_PAGE_SIZE = 1000
+// Encrypted content is the base64 of up to 3 bytes per character, plus the
+// key ID, IV and authentication tag (see public/crypto.js)
+const MAX_ENCRYPTED_LENGTH = 4 * MAX_CONTENT_LENGTH + 200
+const MIN_KEY_ITERATIONS = 100000
+
+const id = integer({ min: 1 })
+const timestamp = integer({ min: 0 })
+// The page puts these in HTML attributes, so nothing that needs escaping
+const clientId = string({
+  pattern: /^[\w-]{1,100}$/,
+  message: "must be 1-100 letters, digits, dashes or underscores",
+})
+const plainContent = string({ min: 1, max: MAX_CONTENT_LENGTH, trim: true })
+const encryptedContent = string({
+  max: MAX_ENCRYPTED_LENGTH,
+  pattern: /^e2e1:[\da-f]{16}:[A-Za-z\d+/]+=*:[A-Za-z\d+/]+=*$/,
+  message: "is not valid encrypted content",
+})
+const content = (value, path, problems) =>
+  (isEncrypted(value) ? encryptedContent : plainContent)(value, path, problems)
+const tags = array(string({ max: 100 }), { max: MAX_TAGS })
+const notebook = nullable(string({ max: 200 }))
+
+// Query strings only ever hold strings
+const queryInteger = (options) => integer({ ...options, coerce: true })
+
+const noteParams = object({ id: queryInteger({ min: 1 }) })
+
+const register = object({
+  username: string({
+    pattern: /^[\w.-]{3,32}$/,
+    message: "must be 3-32 letters, digits, dots, dashes or underscores",
+  }),
+  password: string({ min: 8, max: 1000 }),
+})
+
+const login = object({
+  username: string({ max: 100 }),
+  password: string({ max: 1000 }),
+})
+
+const listQuery = object({
+  tag: optional(string()),
+  notebook: optional(string()),
+  sort: optional(oneOf(SORT_COLUMNS), "updated"),
+  order: optional(oneOf(["asc", "desc"])),
+  limit: optional(queryInteger({ min: 1, max: MAX_PAGE_SIZE }), 50),
+  updatedAfter: optional(queryInteger({ min: 0 })),
+  createdBefore: optional(queryInteger({ min: 0 })),
+  cursor: optional(custom(decodeCursor, "is not a valid cursor")),
+})
+
+const searchQuery = object({
+  q: string({ min: 1, max: 500, trim: true }),
+  limit: optional(queryInteger({ min: 1, max: MAX_PAGE_SIZE }), 50),
+})
+
+// What's needed to derive a user's key again - never the key itself
+const encryptionSettings = object({
+  keyId: string({ pattern: /^[\da-f]{16}$/, message: "must be 16 hex digits" }),
+  salt: string({ min: 1, max: 100 }),
+  iterations: integer({ min: MIN_KEY_ITERATIONS, max: 10000000 }),
+  check: encryptedContent,
+})
+
+// null turns encryption off. previousKeyId is the key the client is
+// replacing, so it can't overwrite a key it hasn't seen.
+const encryptionUpdate = object({
+  encryption: nullable(encryptionSettings),
+  previousKeyId: optional(nullable(string({ max: 100 })), null),
+})
+
+const changesQuery = object({
+  since: optional(queryInteger({ min: 0 }), 0),
+  limit: optional(queryInteger({ min: 1, max: MAX_CHANGES_PAGE_SIZE }), 500),
+})
+
+const exportQuery = object({
+  format: optional(oneOf(["json", "zip"]), "json"),
+})
+
+const newNote = object({
+  content,
+  clientId: optional(clientId),
+  created: optional(timestamp),
+  updated: optional(timestamp),
+  tags: optional(tags),
+  notebook: optional(notebook),
+})
+
+// Leaving out tags or notebook keeps the current ones
+const updateFields = {
+  content,
+  updated: optional(timestamp),
+  baseVersion: optional(nullable(id)),
+  tags: optional(tags),
+  notebook: optional(notebook),
+}
+const noteUpdate = object(updateFields)
+
+// Operations are checked one at a time (see `syncOperation`), so a bad one
+// fails on its own instead of taking the batch with it
+const syncBody = object({
+  operations: array(any(), { max: MAX_SYNC_OPERATIONS }),
+})
+
+// Anything but a create may only know the note by its clientId
+const noteRef = {
+  clientId: optional(nullable(clientId)),
+  serverId: optional(nullable(id)),
+}
+
+const syncOperation = variant("type", {
+  create: newNote,
+  update: object({ ...noteRef, ...updateFields }),
+  delete: object(noteRef),
+  restore: object(noteRef),
+})
+
+// Timestamps of imported notes are fixed up rather than rejected (see
+// importNote in app.js). Notes without a clientId get one made up.
+const importedNote = object({
+  clientId,
+  content,
+  tags: optional(tags),
+  notebook: optional(notebook),
+})
+
+// Middleware checking each route's request
+const validators = {
+  register: validate({ body: register }),
+  login: validate({ body: login }),
+  listNotes: validate({ query: listQuery }),
+  searchNotes: validate({ query: searchQuery }),
+  createNote: validate({ body: newNote }),
+  updateNote: validate({ params: noteParams, body: noteUpdate }),
+  note: validate({ params: noteParams }),
+  exportNotes: validate({ query: exportQuery }),
+  sync: validate({ body: syncBody }),
+  changes: validate({ query: changesQuery }),
+  encryption: validate({ body: encryptionUpdate }),
+}
+
+module.exports = { validators, syncOperation, importedNote }
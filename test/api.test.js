@@ -0,0 +1,996 @@
+const { describe, test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const JSZip = require("jszip")
+const { METRICS_TOKEN, startServer, signUp, api } = require("./helpers")
+
+let server
+
+before(async () => {
+  server = await startServer()
+})
+
+after(() => server.close())
+
+// A signed-in user and fetch() as them
+async function newUser() {
+  const session = await signUp(server.apiUrl)
+  return { session, request: api(server.apiUrl, session) }
+}
+
+async function createNote(request, body) {
+  const response = await request("/notes", { method: "POST", body })
+  assert.equal(response.status, 201)
+  return response.json()
+}
+
+describe("public routes", () => {
+  test("GET /api/health", async () => {
+    const response = await api(server.apiUrl)("/health")
+    assert.equal(response.status, 200)
+    assert.equal((await response.json()).status, "ok")
+  })
+
+  test("GET /api/config", async () => {
+    const response = await api(server.apiUrl)("/config")
+    assert.deepEqual(await response.json(), {
+      apiUrl: "https://example.ngrok.app/api",
+      trashRetentionDays: 30,
+    })
+  })
+
+  test("GET /asset-manifest.js lists the public files", async () => {
+    const response = await fetch(`${server.url}/asset-manifest.js`)
+    assert.equal(response.headers.get("cache-control"), "no-cache")
+
+    const text = await response.text()
+    const manifest = JSON.parse(text.replace("self.ASSET_MANIFEST = ", ""))
+    assert.ok(manifest.assets["/"])
+    assert.ok(manifest.assets["/notes-db.js"])
+    assert.equal(manifest.assets["/sw.js"], undefined)
+  })
+
+  test("static files are served", async () => {
+    const response = await fetch(`${server.url}/index.html`)
+    assert.equal(response.status, 200)
+    assert.match(await response.text(), /<script src="notes-db.js">/)
+  })
+})
+
+describe("auth", () => {
+  test("register, me, login and logout", async () => {
+    const session = await signUp(server.apiUrl, "alice")
+    assert.equal(session.user.username, "alice")
+
+    const me = await api(server.apiUrl, session)("/auth/me")
+    assert.deepEqual(await me.json(), { user: session.user })
+
+    const login = await api(server.apiUrl)("/auth/login", {
+      method: "POST",
+      body: { username: "ALICE", password: "password123" },
+    })
+    assert.equal(login.status, 200)
+    const second = await login.json()
+    assert.notEqual(second.token, session.token)
+
+    const logout = await api(server.apiUrl, second)("/auth/logout", {
+      method: "POST",
+    })
+    assert.equal(logout.status, 204)
+    assert.equal((await api(server.apiUrl, second)("/auth/me")).status, 401)
+
+    // Only the session that signed out ends
+    assert.equal((await api(server.apiUrl, session)("/auth/me")).status, 200)
+  })
+
+  test("register rejects bad input and taken names", async () => {
+    const request = api(server.apiUrl)
+    const register = async (username, password) => {
+      const response = await request("/auth/register", {
+        method: "POST",
+        body: { username, password },
+      })
+      return response.status
+    }
+
+    assert.equal(await register("x", "long enough"), 400)
+    assert.equal(await register("bobby", "short"), 400)
+
+    await signUp(server.apiUrl, "carol")
+    assert.equal(await register("Carol", "password123"), 409)
+  })
+
+  test("login rejects a wrong password", async () => {
+    await signUp(server.apiUrl, "dave")
+    const response = await api(server.apiUrl)("/auth/login", {
+      method: "POST",
+      body: { username: "dave", password: "wrong-password" },
+    })
+    assert.equal(response.status, 401)
+  })
+
+  test("API routes need a session", async () => {
+    assert.equal((await api(server.apiUrl)("/notes")).status, 401)
+    assert.equal(
+      (await api(server.apiUrl, { token: "nonsense" })("/notes")).status,
+      401
+    )
+  })
+
+  test("only the event stream takes the token in the query", async () => {
+    const { session } = await newUser()
+    const response = await fetch(
+      `${server.apiUrl}/auth/me?token=${session.token}`
+    )
+    assert.equal(response.status, 401)
+  })
+})
+
+describe("notes", () => {
+  test("create, read, update and delete", async () => {
+    const { request } = await newUser()
+
+    const note = await createNote(request, {
+      content: "# Groceries\nmilk #shopping",
+      clientId: "c1",
+      notebook: "Home",
+    })
+    assert.equal(note.title, "Groceries")
+    assert.deepEqual(note.tags, ["shopping"])
+    assert.equal(note.notebook, "Home")
+    assert.equal(note.version, 1)
+
+    const updated = await request(`/notes/${note.id}`, {
+      method: "PUT",
+      body: { content: "# Groceries\nmilk, eggs", baseVersion: 1 },
+    })
+    assert.equal(updated.status, 200)
+    const body = await updated.json()
+    assert.equal(body.version, 2)
+    assert.equal(body.notebook, "Home")
+
+    const deleted = await request(`/notes/${note.id}`, { method: "DELETE" })
+    assert.equal(deleted.status, 204)
+
+    const { notes } = await (await request("/notes")).json()
+    assert.equal(notes.length, 0)
+  })
+
+  test("a retried create returns the same note", async () => {
+    const { request } = await newUser()
+    const first = await createNote(request, {
+      content: "once",
+      clientId: "same",
+    })
+
+    const retry = await request("/notes", {
+      method: "POST",
+      body: { content: "once", clientId: "same" },
+    })
+    assert.equal(retry.status, 200)
+    assert.equal((await retry.json()).id, first.id)
+  })
+
+  test("create and update validate their input", async () => {
+    const { request } = await newUser()
+    const post = (body) => request("/notes", { method: "POST", body })
+
+    assert.equal((await post({ content: "  " })).status, 400)
+    assert.equal((await post({ content: "x", tags: "nope" })).status, 400)
+    assert.equal((await post({ content: "x", notebook: 5 })).status, 400)
+
+    const note = await createNote(request, { content: "valid" })
+    const put = await request(`/notes/${note.id}`, {
+      method: "PUT",
+      body: { content: "" },
+    })
+    assert.equal(put.status, 400)
+  })
+
+  test("an update from an old version is a conflict", async () => {
+    const { request } = await newUser()
+    const note = await createNote(request, { content: "v1" })
+    await request(`/notes/${note.id}`, {
+      method: "PUT",
+      body: { content: "v2", baseVersion: 1 },
+    })
+
+    const stale = await request(`/notes/${note.id}`, {
+      method: "PUT",
+      body: { content: "v2 elsewhere", baseVersion: 1 },
+    })
+    assert.equal(stale.status, 409)
+    const body = await stale.json()
+    assert.equal(body.error.code, "VERSION_CONFLICT")
+    assert.equal(body.error.details.note.content, "v2")
+    assert.equal(body.error.details.note.version, 2)
+  })
+
+  test("other users' notes are out of reach", async () => {
+    const owner = await newUser()
+    const other = await newUser()
+    const note = await createNote(owner.request, { content: "private" })
+
+    const routes = [
+      [`/notes/${note.id}`, { method: "PUT", body: { content: "mine now" } }],
+      [`/notes/${note.id}`, { method: "DELETE" }],
+      [`/notes/${note.id}/revisions`, {}],
+      [`/notes/${note.id}/restore`, { method: "POST" }],
+    ]
+    for (const [route, options] of routes) {
+      assert.equal((await other.request(route, options)).status, 404, route)
+    }
+
+    const { notes } = await (await other.request("/notes")).json()
+    assert.equal(notes.length, 0)
+  })
+
+  test("missing notes are 404", async () => {
+    const { request } = await newUser()
+    const deleted = await request("/notes/9999", { method: "DELETE" })
+    assert.equal(deleted.status, 404)
+
+    const updated = await request("/notes/9999", {
+      method: "PUT",
+      body: { content: "x" },
+    })
+    assert.equal(updated.status, 404)
+  })
+
+  test("revisions list earlier versions, newest first", async () => {
+    const { request } = await newUser()
+    const note = await createNote(request, { content: "first" })
+    for (const content of ["second", "third"]) {
+      await request(`/notes/${note.id}`, { method: "PUT", body: { content } })
+    }
+
+    const { revisions } = await (
+      await request(`/notes/${note.id}/revisions`)
+    ).json()
+    assert.deepEqual(
+      revisions.map((revision) => [revision.version, revision.content]),
+      [
+        [3, "third"],
+        [2, "second"],
+        [1, "first"],
+      ]
+    )
+  })
+
+  test("edits made before a delete conflict with the tombstone", async () => {
+    const { request } = await newUser()
+    const note = await createNote(request, { content: "draft" })
+    await request(`/notes/${note.id}`, { method: "DELETE" })
+
+    const stale = await request(`/notes/${note.id}`, {
+      method: "PUT",
+      body: { content: "draft, edited", baseVersion: note.version },
+    })
+    assert.equal(stale.status, 409)
+    const { error } = await stale.json()
+    assert.equal(error.code, "VERSION_CONFLICT")
+    assert.ok(error.details.note.deleted)
+
+    // Only a client that knows the note is in the trash can change it there
+    const blind = await request(`/notes/${note.id}`, {
+      method: "PUT",
+      body: { content: "draft, edited" },
+    })
+    assert.equal(blind.status, 404)
+
+    const informed = await request(`/notes/${note.id}`, {
+      method: "PUT",
+      body: { content: "draft, edited", baseVersion: note.version + 1 },
+    })
+    assert.equal(informed.status, 200)
+    assert.ok((await informed.json()).deleted)
+  })
+
+  test("restore brings a note back from the trash", async () => {
+    const { request } = await newUser()
+    const note = await createNote(request, { content: "oops" })
+    await request(`/notes/${note.id}`, { method: "DELETE" })
+
+    const response = await request(`/notes/${note.id}/restore`, {
+      method: "POST",
+    })
+    assert.equal(response.status, 200)
+    assert.equal((await response.json()).deleted, null)
+
+    const { notes } = await (await request("/notes")).json()
+    assert.deepEqual(
+      notes.map((n) => n.id),
+      [note.id]
+    )
+  })
+})
+
+describe("validation", () => {
+  test("lists every problem with the request", async () => {
+    const { request } = await newUser()
+    const response = await request("/notes", {
+      method: "POST",
+      body: { content: " ", tags: ["ok", 7], notebook: 5 },
+    })
+    assert.equal(response.status, 400)
+
+    const { error } = await response.json()
+    assert.equal(error.code, "VALIDATION_FAILED")
+    assert.deepEqual(error.details, [
+      { path: "content", message: "must not be empty" },
+      { path: "tags[1]", message: "must be a string" },
+      { path: "notebook", message: "must be a string" },
+    ])
+    assert.equal(
+      error.message,
+      "content must not be empty, tags[1] must be a string, " +
+        "notebook must be a string"
+    )
+  })
+
+  test("note ids must be numbers", async () => {
+    const { request } = await newUser()
+    const response = await request("/notes/12abc/revisions")
+    assert.equal(response.status, 400)
+    assert.deepEqual((await response.json()).error.details, [
+      { path: "id", message: "must be a whole number" },
+    ])
+  })
+
+  test("limits content length", async () => {
+    const { request } = await newUser()
+    const response = await request("/notes", {
+      method: "POST",
+      body: { content: "x".repeat(100001) },
+    })
+    assert.equal(response.status, 400)
+    assert.equal(
+      (await response.json()).error.message,
+      "content must be at most 100000 characters"
+    )
+  })
+
+  test("sync needs a list of at most 100 operations", async () => {
+    const { request } = await newUser()
+    const sync = async (operations) => {
+      const response = await request("/sync", {
+        method: "POST",
+        body: { operations },
+      })
+      return [response.status, (await response.json()).error]
+    }
+
+    const [status, error] = await sync("create")
+    assert.equal(status, 400)
+    assert.equal(error.message, "operations must be a list")
+
+    const create = { type: "create", content: "x" }
+    const [tooMany] = await sync(new Array(101).fill(create))
+    assert.equal(tooMany, 400)
+  })
+
+  test("malformed JSON and oversized bodies", async () => {
+    const { request } = await newUser()
+    const malformed = await request("/notes", {
+      method: "POST",
+      body: Buffer.from("{"),
+      headers: { "Content-Type": "application/json" },
+    })
+    assert.equal(malformed.status, 400)
+    assert.equal((await malformed.json()).error.code, "INVALID_JSON")
+
+    const oversized = await request("/notes", {
+      method: "POST",
+      body: { content: "x".repeat(1100000) },
+    })
+    assert.equal(oversized.status, 413)
+    assert.equal((await oversized.json()).error.code, "PAYLOAD_TOO_LARGE")
+  })
+
+  test("errors have codes", async () => {
+    const { request } = await newUser()
+
+    const missing = await request("/nothing-here")
+    assert.equal(missing.status, 404)
+    assert.equal((await missing.json()).error.code, "NOT_FOUND")
+
+    const signedOut = await api(server.apiUrl)("/notes")
+    assert.deepEqual(await signedOut.json(), {
+      error: { code: "UNAUTHORIZED", message: "Authentication required" },
+    })
+  })
+})
+
+describe("listing and search", () => {
+  test("pages through notes with a cursor", async () => {
+    const { request } = await newUser()
+    for (let i = 1; i <= 5; i++) {
+      await createNote(request, { content: `note ${i}`, updated: i * 1000 })
+    }
+
+    const seen = []
+    let cursor = null
+    do {
+      const query = cursor ? `&cursor=${cursor}` : ""
+      const page = await (await request(`/notes?limit=2${query}`)).json()
+      seen.push(...page.notes.map((note) => note.content))
+      cursor = page.nextCursor
+    } while (cursor)
+
+    assert.deepEqual(seen, ["note 5", "note 4", "note 3", "note 2", "note 1"])
+  })
+
+  test("sorts and filters", async () => {
+    const { request } = await newUser()
+    await createNote(request, { content: "Banana\n#fruit", notebook: "Food" })
+    await createNote(request, { content: "apple\n#fruit" })
+    await createNote(request, { content: "Carrot", notebook: "Food" })
+
+    const titles = async (query) =>
+      (await (await request(`/notes?${query}`)).json()).notes.map(
+        (note) => note.title
+      )
+
+    assert.deepEqual(await titles("sort=title"), ["apple", "Banana", "Carrot"])
+    assert.deepEqual(await titles("sort=title&order=desc&tag=fruit"), [
+      "Banana",
+      "apple",
+    ])
+    assert.deepEqual(await titles("sort=title&notebook=Food"), [
+      "Banana",
+      "Carrot",
+    ])
+  })
+
+  test("rejects bad list parameters", async () => {
+    const { request } = await newUser()
+    for (const query of [
+      "sort=colour",
+      "order=sideways",
+      "updatedAfter=yesterday",
+      "cursor=garbage",
+    ]) {
+      assert.equal((await request(`/notes?${query}`)).status, 400, query)
+    }
+  })
+
+  test("full-text search with snippets", async () => {
+    const { request } = await newUser()
+    await createNote(request, { content: "The quick brown fox" })
+    await createNote(request, { content: "A lazy dog" })
+    await createNote(request, { content: "The quick cat" })
+
+    const search = async (q) =>
+      (
+        await (await request(`/notes/search?q=${encodeURIComponent(q)}`)).json()
+      ).results
+
+    const results = await search("quick -cat")
+    assert.equal(results.length, 1)
+    assert.equal(results[0].content, "The quick brown fox")
+    assert.match(results[0].snippet, /<mark>quick<\/mark>/)
+
+    assert.equal((await search("qui*")).length, 2)
+    assert.equal((await request("/notes/search?q=")).status, 400)
+  })
+})
+
+describe("POST /api/sync", () => {
+  test("applies a batch of mixed operations", async () => {
+    const { request } = await newUser()
+    const existing = await createNote(request, { content: "existing" })
+    const trashed = await createNote(request, { content: "trashed" })
+    await request(`/notes/${trashed.id}`, { method: "DELETE" })
+
+    const response = await request("/sync", {
+      method: "POST",
+      body: {
+        operations: [
+          { type: "create", clientId: "new1", content: "created offline" },
+          // Knows its note only by clientId - queued before the create synced
+          { type: "update", clientId: "new1", content: "edited offline" },
+          {
+            type: "update",
+            serverId: existing.id,
+            content: "updated",
+            baseVersion: 1,
+          },
+          { type: "delete", serverId: existing.id },
+          { type: "restore", serverId: trashed.id },
+          { type: "update", serverId: 9999, content: "gone" },
+          { type: "create", clientId: "blank", content: " " },
+          { type: "archive", serverId: existing.id },
+        ],
+      },
+    })
+    assert.equal(response.status, 200)
+    const { results } = await response.json()
+
+    assert.deepEqual(
+      results.map((result) => result.success),
+      [true, true, true, true, true, true, false, false]
+    )
+    assert.equal(results[1].result.content, "edited offline")
+    assert.equal(results[1].result.version, 2)
+    assert.ok(results[3].result.deleted)
+    assert.equal(results[4].result.deleted, null)
+    assert.equal(results[5].result, null)
+    assert.deepEqual(results[6].error, {
+      code: "VALIDATION_FAILED",
+      message: "content must not be empty",
+      details: [{ path: "content", message: "must not be empty" }],
+    })
+    assert.equal(
+      results[7].error.message,
+      "type must be one of create, update, delete, restore"
+    )
+
+    const { notes } = await (await request("/notes?sort=title")).json()
+    assert.deepEqual(
+      notes.map((note) => note.content),
+      ["edited offline", "trashed"]
+    )
+  })
+
+  test("someone else's note isn't there to change", async () => {
+    const owner = await newUser()
+    const note = await createNote(owner.request, { content: "not yours" })
+
+    const { request } = await newUser()
+    const { results } = await (
+      await request("/sync", {
+        method: "POST",
+        body: {
+          operations: ["update", "delete", "restore"].map((type) => ({
+            type,
+            serverId: note.id,
+            content: "taken over",
+          })),
+        },
+      })
+    ).json()
+
+    assert.ok(results.every((result) => result.error.code === "NOT_FOUND"))
+    const { notes } = await (await owner.request("/notes")).json()
+    assert.deepEqual(
+      notes.map((current) => current.content),
+      ["not yours"]
+    )
+  })
+
+  test("reports version conflicts with the server copy", async () => {
+    const { request } = await newUser()
+    const note = await createNote(request, { content: "v1" })
+    await request(`/notes/${note.id}`, {
+      method: "PUT",
+      body: { content: "v2" },
+    })
+
+    const { results } = await (
+      await request("/sync", {
+        method: "POST",
+        body: {
+          operations: [
+            {
+              type: "update",
+              serverId: note.id,
+              content: "mine",
+              baseVersion: 1,
+            },
+          ],
+        },
+      })
+    ).json()
+
+    assert.equal(results[0].success, false)
+    assert.equal(results[0].error.code, "VERSION_CONFLICT")
+    assert.equal(results[0].error.details.note.content, "v2")
+  })
+
+  test("a retried create returns the note it already made", async () => {
+    const { request } = await newUser()
+    const operations = [{ type: "create", clientId: "retry", content: "hi" }]
+
+    const sync = async () => {
+      const response = await request("/sync", {
+        method: "POST",
+        body: { operations },
+      })
+      return (await response.json()).results[0].result
+    }
+
+    const first = await sync()
+    const second = await sync()
+    assert.equal(second.id, first.id)
+  })
+})
+
+describe("GET /api/changes", () => {
+  test("returns the latest change per note after a cursor", async () => {
+    const { request } = await newUser()
+    const a = await createNote(request, { content: "a" })
+    const b = await createNote(request, { content: "b" })
+    await request(`/notes/${a.id}`, { method: "PUT", body: { content: "a2" } })
+
+    const all = await (await request("/changes?since=0")).json()
+    assert.deepEqual(
+      all.changes.map((change) => [change.note.id, change.type]),
+      [
+        [b.id, "upsert"],
+        [a.id, "upsert"],
+      ]
+    )
+    assert.equal(all.hasMore, false)
+
+    await request(`/notes/${b.id}`, { method: "DELETE" })
+    const next = await (await request(`/changes?since=${all.cursor}`)).json()
+    assert.equal(next.changes.length, 1)
+    assert.equal(next.changes[0].type, "delete")
+    assert.ok(next.changes[0].note.deleted)
+  })
+
+  test("pages with limit", async () => {
+    const { request } = await newUser()
+    for (let i = 0; i < 3; i++) await createNote(request, { content: `n${i}` })
+
+    const page = await (await request("/changes?since=0&limit=2")).json()
+    assert.equal(page.changes.length, 2)
+    assert.equal(page.hasMore, true)
+  })
+})
+
+describe("GET /api/events", () => {
+  test("streams changes to the owner only", async () => {
+    const owner = await newUser()
+    const other = await newUser()
+
+    const controller = new AbortController()
+    const response = await fetch(
+      `${server.apiUrl}/events?token=${owner.session.token}`,
+      { signal: controller.signal }
+    )
+    assert.equal(response.headers.get("content-type"), "text/event-stream")
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let received = ""
+    const readUntil = async (pattern) => {
+      while (!pattern.test(received)) {
+        const { value } = await reader.read()
+        received += decoder.decode(value)
+      }
+    }
+
+    await readUntil(/: connected/)
+    await createNote(other.request, { content: "not for you" })
+    await createNote(owner.request, { content: "for you" })
+    await readUntil(/event: created/)
+
+    assert.match(received, /"content":"for you"/)
+    assert.doesNotMatch(received, /not for you/)
+    controller.abort()
+  })
+
+  test("signing out ends the session's streams", async () => {
+    const { session, request } = await newUser()
+    const response = await fetch(
+      `${server.apiUrl}/events?token=${session.token}`
+    )
+    const reader = response.body.getReader()
+    assert.match(
+      new TextDecoder().decode((await reader.read()).value),
+      /: connected/
+    )
+
+    await request("/auth/logout", { method: "POST" })
+    assert.equal((await reader.read()).done, true)
+  })
+})
+
+describe("request IDs and metrics", () => {
+  test("request IDs are echoed back, or made up", async () => {
+    const health = api(server.apiUrl)
+    const given = await health("/health", {
+      headers: { "X-Request-Id": "trace-123" },
+    })
+    assert.equal(given.headers.get("x-request-id"), "trace-123")
+
+    const UUID = /^[\da-f]{8}(-[\da-f]{4}){3}-[\da-f]{12}$/
+    const unusable = await health("/health", {
+      headers: { "X-Request-Id": "not {a} usable id" },
+    })
+    assert.match(unusable.headers.get("x-request-id"), UUID)
+    const missing = await health("/health")
+    assert.match(missing.headers.get("x-request-id"), UUID)
+  })
+
+  test("GET /api/metrics needs the configured token", async () => {
+    const { request } = await newUser()
+    assert.equal((await request("/metrics")).status, 401)
+    assert.equal((await api(server.apiUrl)("/metrics")).status, 401)
+  })
+
+  // Other tests share the counters, so compare before and after
+  async function readMetrics() {
+    const response = await api(server.apiUrl, { token: METRICS_TOKEN })(
+      "/metrics"
+    )
+    assert.equal(response.status, 200)
+    assert.match(response.headers.get("content-type"), /version=0.0.4/)
+
+    const text = await response.text()
+    return (series) => {
+      const line = text.split("\n").find((l) => l.startsWith(`${series} `))
+      return line ? Number(line.slice(series.length + 1)) : 0
+    }
+  }
+
+  test("GET /api/metrics counts notes, syncs and errors", async () => {
+    const { request } = await newUser()
+    const before = await readMetrics()
+
+    await createNote(request, { content: "counted" })
+    await request("/notes/9999", { method: "DELETE" })
+    await request("/sync", {
+      method: "POST",
+      body: {
+        operations: [
+          { type: "create", clientId: "m1", content: "synced" },
+          { type: "create", clientId: "m2", content: "" },
+          { type: "rename" },
+        ],
+      },
+    })
+
+    const after = await readMetrics()
+    const increase = (series) => after(series) - before(series)
+
+    assert.equal(
+      increase('note_operations_total{operation="create",source="api"}'),
+      1
+    )
+    assert.equal(
+      increase('note_operations_total{operation="create",source="sync"}'),
+      1
+    )
+    assert.equal(
+      increase('sync_operations_total{type="create",outcome="success"}'),
+      1
+    )
+    assert.equal(
+      increase(
+        'sync_operations_total{type="create",outcome="VALIDATION_FAILED"}'
+      ),
+      1
+    )
+    assert.equal(
+      increase(
+        'sync_operations_total{type="unknown",outcome="VALIDATION_FAILED"}'
+      ),
+      1
+    )
+    assert.equal(increase("sync_batch_operations_count"), 1)
+    assert.equal(increase("sync_batch_operations_sum"), 3)
+    assert.equal(increase('http_errors_total{code="NOT_FOUND"}'), 1)
+    assert.equal(
+      increase(
+        'http_requests_total{method="DELETE",route="/api/notes/:id",status="404"}'
+      ),
+      1
+    )
+  })
+})
+
+describe("export and import", () => {
+  test("JSON round trip, skipping notes already imported", async () => {
+    const source = await newUser()
+    await createNote(source.request, {
+      content: "exported",
+      clientId: "e1",
+      notebook: "Work",
+      tags: ["keep"],
+    })
+
+    const response = await source.request("/export?format=json")
+    assert.match(
+      response.headers.get("content-disposition"),
+      /attachment; filename="notes-.*\.json"/
+    )
+    const exported = await response.json()
+    assert.equal(exported.notes.length, 1)
+
+    const target = await newUser()
+    const importJson = async (body) =>
+      (await target.request("/import", { method: "POST", body })).json()
+
+    assert.deepEqual(await importJson(exported), {
+      imported: 1,
+      skipped: 0,
+      invalid: 0,
+    })
+    assert.deepEqual(
+      await importJson([...exported.notes, { content: "" }, { content: 5 }]),
+      { imported: 0, skipped: 1, invalid: 2 }
+    )
+
+    const { notes } = await (await target.request("/notes")).json()
+    assert.equal(notes[0].content, "exported")
+    assert.equal(notes[0].notebook, "Work")
+    assert.deepEqual(notes[0].tags, ["keep"])
+  })
+
+  test("skips notes with clientIds the page couldn't use", async () => {
+    const { request } = await newUser()
+    const response = await request("/import", {
+      method: "POST",
+      body: [
+        { clientId: "x');alert(document.cookie);('", content: "script" },
+        { clientId: { a: 1 }, content: "object" },
+        { clientId: "z".repeat(5000), content: "long" },
+        { clientId: "fine_id-1", content: "kept" },
+      ],
+    })
+    assert.deepEqual(await response.json(), {
+      imported: 1,
+      skipped: 0,
+      invalid: 3,
+    })
+
+    const sync = await request("/sync", {
+      method: "POST",
+      body: {
+        operations: [{ type: "create", clientId: "a b", content: "x" }],
+      },
+    })
+    const [result] = (await sync.json()).results
+    assert.equal(result.error.code, "VALIDATION_FAILED")
+  })
+
+  test("zip round trip with notebooks as folders", async () => {
+    const source = await newUser()
+    await createNote(source.request, {
+      content: "# Plan\nsteps",
+      notebook: "Work",
+    })
+    await createNote(source.request, { content: "loose note" })
+
+    const response = await source.request("/export?format=zip")
+    assert.equal(response.headers.get("content-type"), "application/zip")
+    const buffer = Buffer.from(await response.arrayBuffer())
+
+    const zip = await JSZip.loadAsync(buffer)
+    assert.deepEqual(Object.keys(zip.files).sort(), [
+      "Work/",
+      "Work/Plan.md",
+      "loose note.md",
+    ])
+
+    const target = await newUser()
+    const imported = await target.request("/import", {
+      method: "POST",
+      body: buffer,
+      headers: { "Content-Type": "application/zip" },
+    })
+    assert.equal((await imported.json()).imported, 2)
+
+    const listed = await target.request("/notes?notebook=Work")
+    const { notes } = await listed.json()
+    assert.equal(notes[0].content, "# Plan\nsteps")
+  })
+
+  test("stops unpacking a zip that grows too large", async () => {
+    const { request } = await newUser()
+    // Compresses to well under the upload limit
+    const zip = new JSZip()
+    zip.file("bomb.md", "x".repeat(60 * 1024 * 1024))
+    const body = await zip.generateAsync({
+      type: "nodebuffer",
+      compression: "DEFLATE",
+    })
+
+    const response = await request("/import", {
+      method: "POST",
+      body,
+      headers: { "Content-Type": "application/zip" },
+    })
+    assert.equal(response.status, 400)
+    assert.equal((await response.json()).error.code, "INVALID_IMPORT")
+  })
+
+  test("rejects unknown formats and unreadable uploads", async () => {
+    const { request } = await newUser()
+    assert.equal((await request("/export?format=pdf")).status, 400)
+    assert.equal(
+      (await request("/import", { method: "POST", body: { notes: "no" } }))
+        .status,
+      400
+    )
+    assert.equal(
+      (
+        await request("/import", {
+          method: "POST",
+          body: Buffer.from("not a zip"),
+          headers: { "Content-Type": "application/zip" },
+        })
+      ).status,
+      400
+    )
+  })
+})
+
+describe("encryption", () => {
+  // Shaped like what public/crypto.js makes; the server never decrypts
+  const ciphertext = (keyId, length = 24) =>
+    `e2e1:${keyId}:${"A".repeat(16)}:${"B".repeat(length)}`
+  const settings = (keyId) => ({
+    keyId,
+    salt: "c2FsdHNhbHRzYWx0c2FsdA==",
+    iterations: 600000,
+    check: ciphertext(keyId),
+  })
+  const first = "0123456789abcdef"
+  const second = "fedcba9876543210"
+
+  test("settings change only from the key the client knows", async () => {
+    const { request } = await newUser()
+    const put = (body) => request("/encryption", { method: "PUT", body })
+    const current = async () =>
+      (await (await request("/encryption")).json()).encryption
+
+    assert.equal(await current(), null)
+
+    const enabled = await put({ encryption: settings(first) })
+    assert.equal(enabled.status, 200)
+    assert.deepEqual(await current(), settings(first))
+
+    // e.g. another device that hasn't heard of the first key
+    const stale = await put({ encryption: settings(second) })
+    assert.equal(stale.status, 409)
+    const { error } = await stale.json()
+    assert.equal(error.code, "KEY_CHANGED")
+    assert.deepEqual(error.details.encryption, settings(first))
+
+    const rotated = await put({
+      encryption: settings(second),
+      previousKeyId: first,
+    })
+    assert.equal(rotated.status, 200)
+
+    const disabled = await put({ encryption: null, previousKeyId: second })
+    assert.equal(disabled.status, 200)
+    assert.equal(await current(), null)
+  })
+
+  test("rejects weak or malformed settings", async () => {
+    const { request } = await newUser()
+    const response = await request("/encryption", {
+      method: "PUT",
+      body: {
+        encryption: { ...settings("nothex"), iterations: 1000, check: "x" },
+      },
+    })
+    assert.equal(response.status, 400)
+    assert.deepEqual(
+      (await response.json()).error.details.map((detail) => detail.path),
+      ["encryption.keyId", "encryption.iterations", "encryption.check"]
+    )
+  })
+
+  test("encrypted notes are stored as they are", async () => {
+    const { request } = await newUser()
+    // Longer than plain text may be, as ciphertext of 100000 characters is
+    const content = ciphertext(first, 300000)
+    const note = await createNote(request, { content, tags: ["kept"] })
+    assert.equal(note.content, content)
+    assert.equal(note.title, "")
+
+    const malformed = await request("/notes", {
+      method: "POST",
+      body: { content: "e2e1:not really" },
+    })
+    assert.equal(malformed.status, 400)
+
+    // Full-text search would only match base64
+    const response = await request("/notes/search?q=e2e1")
+    assert.deepEqual((await response.json()).results, [])
+  })
+})
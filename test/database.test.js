@@ -0,0 +1,245 @@
+const { describe, test, beforeEach, afterEach } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const Database = require("better-sqlite3")
+const NotesDatabase = require("../database")
+const migrations = require("../migrations")
+const { silenceLogs } = require("./helpers")
+
+const { VersionConflictError } = NotesDatabase
+
+silenceLogs()
+
+let db
+let owner
+
+beforeEach(() => {
+  db = new NotesDatabase(":memory:")
+  owner = db.createUser("owner", "hash").id
+})
+
+afterEach(() => db.close())
+
+describe("migrations", () => {
+  test("a new database gets every migration once", () => {
+    const applied = db.db
+      .prepare("SELECT version FROM schema_migrations ORDER BY version")
+      .pluck()
+      .all()
+    assert.deepEqual(
+      applied,
+      migrations.map((migration) => migration.version)
+    )
+
+    db.migrate()
+    const count = db.db
+      .prepare("SELECT COUNT(*) FROM schema_migrations")
+      .pluck()
+      .get()
+    assert.equal(count, migrations.length)
+  })
+
+  test("refuses a database from a newer server", () => {
+    db.db.exec(`
+      INSERT INTO schema_migrations (version, name, applied)
+      VALUES (${migrations.length + 1}, 'from the future', 0)
+    `)
+
+    assert.throws(() => db.migrate(), /newer than this server's/)
+  })
+
+  test("upgrades a database from before migrations", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notes-test-"))
+    t.after(() => fs.rmSync(dir, { recursive: true }))
+    const filename = path.join(dir, "notes.db")
+
+    // The original schema, with a create that was retried
+    const original = new Database(filename)
+    original.exec(`
+      CREATE TABLE notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        content TEXT NOT NULL,
+        clientId TEXT,
+        created INTEGER NOT NULL,
+        updated INTEGER NOT NULL
+      );
+      INSERT INTO notes (content, clientId, created, updated) VALUES
+        ('old #idea', 'a', 1, 1),
+        ('retried #idea', 'a', 1, 2),
+        ('# Heading' || char(10) || 'body', 'b', 3, 3);
+    `)
+    original.close()
+
+    const upgraded = new NotesDatabase(filename)
+    t.after(() => upgraded.close())
+    const user = upgraded.createUser("first", "hash")
+
+    // Nobody has the notes until they're handed over; the newer duplicate
+    // survives
+    assert.equal(upgraded.getAllNotes(user.id).notes.length, 0)
+    assert.equal(upgraded.countLegacyNotes(), 2)
+    assert.deepEqual(upgraded.claimLegacyNotes(user.id), {
+      claimed: 2,
+      clashing: 0,
+    })
+    assert.equal(upgraded.countLegacyNotes(), 0)
+
+    const { notes } = upgraded.getAllNotes(user.id, { sort: "created" })
+    assert.deepEqual(
+      notes.map((note) => [note.clientId, note.content, note.tags, note.title]),
+      [
+        ["b", "# Heading\nbody", [], "Heading"],
+        ["a", "retried #idea", ["idea"], "retried #idea"],
+      ]
+    )
+
+    const terms = [{ words: ["heading"], prefix: false, negated: false }]
+    assert.equal(upgraded.searchNotes(user.id, terms, 10).length, 1)
+  })
+})
+
+describe("notes", () => {
+  test("legacy notes the owner has a copy of are left alone", () => {
+    for (const clientId of ["kept", "taken"]) {
+      db.createNote(owner, {
+        content: `legacy ${clientId}`,
+        clientId,
+        created: 1,
+        updated: 1,
+      })
+    }
+    db.db.exec(`
+      UPDATE notes SET ownerId = NULL;
+      UPDATE note_changes SET ownerId = NULL;
+    `)
+    db.createNote(owner, {
+      content: "my own copy",
+      clientId: "taken",
+      created: 2,
+      updated: 2,
+    })
+
+    assert.deepEqual(db.claimLegacyNotes(owner), { claimed: 1, clashing: 1 })
+    assert.equal(db.countLegacyNotes(), 1)
+    const { notes } = db.getAllNotes(owner, { sort: "created" })
+    assert.deepEqual(
+      notes.map((note) => note.content),
+      ["my own copy", "legacy kept"]
+    )
+  })
+
+  test("create is idempotent per owner and clientId", () => {
+    const first = db.createNote(owner, {
+      content: "hello",
+      clientId: "c1",
+      created: 1,
+      updated: 1,
+    })
+    const again = db.createNote(owner, {
+      content: "hello again",
+      clientId: "c1",
+      created: 2,
+      updated: 2,
+    })
+    assert.equal(again.id, first.id)
+
+    const other = db.createUser("other", "hash").id
+    const theirs = db.createNote(other, {
+      content: "hello",
+      clientId: "c1",
+      created: 1,
+      updated: 1,
+    })
+    assert.notEqual(theirs.id, first.id)
+  })
+
+  test("updates check the base version and keep revisions", () => {
+    const note = db.createNote(owner, {
+      content: "one",
+      created: 1,
+      updated: 1,
+    })
+    db.updateNote(owner, note.id, {
+      content: "two",
+      updated: 2,
+      baseVersion: 1,
+    })
+
+    assert.throws(
+      () =>
+        db.updateNote(owner, note.id, {
+          content: "three",
+          updated: 3,
+          baseVersion: 1,
+        }),
+      (error) =>
+        error instanceof VersionConflictError && error.current.version === 2
+    )
+
+    assert.deepEqual(
+      db.getRevisions(owner, note.id).map((revision) => revision.content),
+      ["two", "one"]
+    )
+  })
+
+  test("updates keep tags and notebook unless given", () => {
+    const note = db.createNote(owner, {
+      content: "x",
+      tags: ["kept"],
+      notebook: "Work",
+      created: 1,
+      updated: 1,
+    })
+    const updated = db.updateNote(owner, note.id, {
+      content: "x #added",
+      updated: 2,
+    })
+
+    assert.deepEqual(updated.tags, ["added", "kept"])
+    assert.equal(updated.notebook, "Work")
+  })
+
+  test("delete and restore only touch the owner's notes", () => {
+    const note = db.createNote(owner, {
+      content: "x",
+      created: 1,
+      updated: 1,
+    })
+    const other = db.createUser("other", "hash").id
+
+    assert.equal(db.deleteNote(other, note.id), null)
+    assert.ok(db.deleteNote(owner, note.id).deleted)
+    assert.equal(db.deleteNote(owner, note.id), null)
+
+    assert.equal(db.restoreNote(other, note.id), null)
+    assert.equal(db.restoreNote(owner, note.id).deleted, null)
+  })
+
+  test("purges old tombstones and records it in the change log", () => {
+    const keep = db.createNote(owner, {
+      content: "keep",
+      created: 1,
+      updated: 1,
+    })
+    const purge = db.createNote(owner, {
+      content: "purge",
+      created: 1,
+      updated: 1,
+    })
+    db.deleteNote(owner, purge.id)
+
+    assert.equal(db.purgeDeletedNotes(Date.now() - 1000), 0)
+    assert.equal(db.purgeDeletedNotes(Date.now() + 1000), 1)
+    assert.equal(db.getNote(purge.id), undefined)
+    assert.ok(db.getNote(keep.id))
+
+    const { changes } = db.getChanges(owner, 0, 10)
+    assert.deepEqual(changes[changes.length - 1], {
+      seq: changes[changes.length - 1].seq,
+      type: "purge",
+      note: { id: purge.id, clientId: null },
+    })
+  })
+})
@@ -0,0 +1,147 @@
+// Shared by the test files: a server on an in-memory database, and browser
+// clients that run the page's scripts against fake-indexeddb.
+const fs = require("fs")
+const path = require("path")
+const vm = require("vm")
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb")
+const logger = require("../logger")
+
+// Loaded in the same order as index.html
+const CLIENT_SCRIPTS = [
+  "crypto.js",
+  "search.js",
+  "tags.js",
+  "schema.js",
+  "sync.js",
+  "notes-db.js",
+]
+
+const quietConsole = { log() {}, warn() {}, error() {} }
+
+// Request and migration logging drowns out the test output. The env var
+// keeps app.js from turning it back on with the configured level.
+function silenceLogs() {
+  process.env.LOG_LEVEL = "silent"
+  logger.setLevel("silent")
+}
+
+// For GET /api/metrics, which is off without one
+const METRICS_TOKEN = "test-metrics-token"
+
+// app.js reads its config when first required, so this has to come first.
+// The example config stands in for a developer's own config.json.
+function loadApp() {
+  process.env.CONFIG_FILE = path.join(__dirname, "..", "config.example.json")
+  process.env.DB_PATH = ":memory:"
+  process.env.METRICS_TOKEN = METRICS_TOKEN
+  return require("../app")
+}
+
+// Listens on a free port. Resolves with { url, apiUrl, close }.
+async function startServer() {
+  silenceLogs()
+  const app = loadApp()
+
+  const server = await new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server))
+  })
+  const url = `http://localhost:${server.address().port}`
+
+  return {
+    url,
+    apiUrl: `${url}/api`,
+    close() {
+      server.closeAllConnections() // Event streams never end by themselves
+      return new Promise((resolve) => server.close(resolve))
+    },
+  }
+}
+
+let userCount = 0
+
+// Registers a fresh account. Resolves with { token, user }.
+async function signUp(apiUrl, username = `user${++userCount}`) {
+  const response = await fetch(`${apiUrl}/auth/register`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password: "password123" }),
+  })
+  if (response.status !== 201) {
+    throw new Error(`Sign up failed: HTTP ${response.status}`)
+  }
+  return response.json()
+}
+
+// A browser with its own IndexedDB, running the page's scripts. Setting
+// `online` to false makes every request fail like a dropped connection;
+// replacing `fetch` fakes the server's answers.
+function createClient(apiUrl) {
+  const client = { online: true, requests: [], fetch }
+
+  const context = vm.createContext({
+    console: quietConsole,
+    indexedDB: new IDBFactory(),
+    IDBKeyRange,
+    fetch: (url, options) => {
+      client.requests.push(url)
+      if (!client.online) {
+        return Promise.reject(new TypeError("Failed to fetch"))
+      }
+      return client.fetch(url, options)
+    },
+    setTimeout,
+    clearTimeout,
+    // What crypto.js needs from the browser
+    crypto: globalThis.crypto,
+    btoa,
+    atob,
+    TextEncoder,
+    TextDecoder,
+  })
+  context.self = context
+
+  for (const file of CLIENT_SCRIPTS) {
+    const filename = path.join(__dirname, "..", "public", file)
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename })
+  }
+
+  // Top-level classes and constants aren't properties of the context
+  const NotesDB = vm.runInContext("NotesDB", context)
+  const syncNotes = vm.runInContext("syncNotes", context)
+
+  client.db = new NotesDB()
+  client.init = () => client.db.init()
+  client.sync = (options = {}) => syncNotes({ apiUrl, ...options })
+  client.signIn = (session) => client.db.setAuth(session)
+  // Makes a new encryption key, as the page does (see crypto.js)
+  client.createKey = vm.runInContext("createKey", context)
+
+  return client
+}
+
+// fetch() for the API as the given session
+function api(apiUrl, session) {
+  return (route, { method = "GET", body, headers = {} } = {}) =>
+    fetch(`${apiUrl}${route}`, {
+      method,
+      headers: {
+        ...(session && { Authorization: `Bearer ${session.token}` }),
+        ...(body !== undefined &&
+          !Buffer.isBuffer(body) && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body:
+        body === undefined || Buffer.isBuffer(body)
+          ? body
+          : JSON.stringify(body),
+    })
+}
+
+module.exports = {
+  METRICS_TOKEN,
+  silenceLogs,
+  startServer,
+  signUp,
+  createClient,
+  api,
+}
@@ -0,0 +1,75 @@
+const { describe, test, afterEach } = require("node:test")
+const assert = require("node:assert/strict")
+const logger = require("../logger")
+
+// Runs `log` and returns the entries it wrote to stdout and stderr
+function capture(log) {
+  const lines = []
+  const { stdout, stderr } = process
+  const original = { stdout: stdout.write, stderr: stderr.write }
+  stdout.write = stderr.write = (line) => lines.push(JSON.parse(line))
+
+  try {
+    log()
+  } finally {
+    stdout.write = original.stdout
+    stderr.write = original.stderr
+  }
+  return lines
+}
+
+afterEach(() => logger.setLevel("info"))
+
+describe("logger", () => {
+  test("writes one JSON entry per line with its fields", () => {
+    const [entry] = capture(() =>
+      logger.child({ requestId: "r1" }).info("Created note", { noteId: 7 })
+    )
+
+    assert.equal(entry.level, "info")
+    assert.equal(entry.msg, "Created note")
+    assert.equal(entry.requestId, "r1")
+    assert.equal(entry.noteId, 7)
+    assert.ok(Date.parse(entry.time))
+  })
+
+  test("skips entries below the level", () => {
+    logger.setLevel("warn")
+    const entries = capture(() => {
+      logger.debug("no")
+      logger.info("no")
+      logger.warn("yes")
+      logger.error("yes")
+    })
+
+    assert.deepEqual(
+      entries.map((entry) => entry.level),
+      ["warn", "error"]
+    )
+    assert.throws(() => logger.setLevel("loud"), /Unknown log level/)
+  })
+
+  test("redacts note contents and credentials, however deep", () => {
+    const [entry] = capture(() =>
+      logger.info("Synced", {
+        password: "hunter22",
+        operations: [{ type: "create", content: "my diary" }],
+      })
+    )
+
+    assert.equal(entry.password, "[redacted]")
+    assert.deepEqual(entry.operations, [
+      { type: "create", content: "[redacted]" },
+    ])
+  })
+
+  test("keeps the message and stack of errors", () => {
+    const [entry] = capture(() =>
+      logger.error("Failed", { error: new TypeError("broken") })
+    )
+
+    assert.equal(entry.error.name, "TypeError")
+    assert.equal(entry.error.message, "broken")
+    assert.match(entry.error.stack, /broken/)
+  })
+})
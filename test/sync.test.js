@@ -0,0 +1,871 @@
+const { describe, test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const { startServer, signUp, createClient, api } = require("./helpers")
+
+let server
+
+before(async () => {
+  server = await startServer()
+})
+
+after(() => server.close())
+
+// A client with its database open, signed in to the given session
+async function signedInClient(session) {
+  const client = createClient(server.apiUrl)
+  await client.init()
+  await client.signIn(session)
+  return client
+}
+
+async function serverNotes(session) {
+  const response = await api(server.apiUrl, session)("/notes?sort=created")
+  return (await response.json()).notes
+}
+
+function readStore(client, name) {
+  return new Promise((resolve, reject) => {
+    const request = client.db.db
+      .transaction([name], "readonly")
+      .objectStore(name)
+      .getAll()
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function clearStore(client, name) {
+  return new Promise((resolve, reject) => {
+    const tx = client.db.db.transaction([name], "readwrite")
+    tx.objectStore(name).clear()
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// Changes every entry of a store, e.g. to move retries into the past
+function updateStore(client, name, changes) {
+  return new Promise((resolve, reject) => {
+    const tx = client.db.db.transaction([name], "readwrite")
+    tx.objectStore(name).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result
+      if (!cursor) return
+
+      cursor.update({ ...cursor.value, ...changes })
+      cursor.continue()
+    }
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// Answers /api/sync with the given error for every operation
+function failEachOperation(client, error) {
+  const fetchAsUsual = client.fetch
+  client.fetch = async (url, options) => {
+    if (!url.endsWith("/sync")) return fetchAsUsual(url, options)
+
+    const { operations } = JSON.parse(options.body)
+    const results = operations.map((operation) => ({
+      success: false,
+      operation,
+      error,
+    }))
+    return Response.json({ results })
+  }
+  return () => (client.fetch = fetchAsUsual)
+}
+
+describe("offline, then online", () => {
+  test("changes made offline are pushed once back online", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    client.online = false
+
+    const kept = await client.db.addNote("written offline")
+    await client.db.updateNote(kept.clientId, "written offline, edited #draft")
+    const dropped = await client.db.addNote("never mind")
+    await client.db.deleteNote(dropped.clientId)
+
+    // Create + update collapse into one create; create + delete cancel out
+    assert.equal(await client.db.getSyncQueueCount(), 1)
+
+    await assert.rejects(client.sync(), TypeError)
+    assert.equal(await client.db.getSyncQueueCount(), 1)
+
+    client.online = true
+    const summary = await client.sync()
+    assert.equal(summary.pushed, 1)
+    assert.equal(await client.db.getSyncQueueCount(), 0)
+
+    const [note] = await serverNotes(session)
+    assert.equal(note.content, "written offline, edited #draft")
+    assert.deepEqual(note.tags, ["draft"])
+
+    const local = await client.db.getNoteByClientId(kept.clientId)
+    assert.equal(local.serverId, note.id)
+    assert.equal(local.version, note.version)
+    assert.equal(local.synced, true)
+  })
+
+  test("edits and deletes of a synced note go out against it", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+
+    const first = await client.db.addNote("first")
+    const second = await client.db.addNote("second")
+    await client.sync()
+
+    client.online = false
+    await client.db.updateNote(first.clientId, "first, edited")
+    await client.db.updateNote(first.clientId, "first, edited twice")
+    await client.db.deleteNote(second.clientId)
+    assert.equal(await client.db.getSyncQueueCount(), 2)
+
+    client.online = true
+    await client.sync()
+
+    const notes = await serverNotes(session)
+    assert.deepEqual(
+      notes.map((note) => [note.content, note.version]),
+      [["first, edited twice", 2]]
+    )
+  })
+
+  test("pushes large queues in batches", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    for (let i = 0; i < 7; i++) await client.db.addNote(`note ${i}`)
+
+    client.requests.length = 0
+    const summary = await client.sync({ batchSize: 3 })
+
+    assert.equal(summary.pushed, 7)
+    assert.equal(
+      client.requests.filter((url) => url.endsWith("/sync")).length,
+      3
+    )
+    assert.equal((await serverNotes(session)).length, 7)
+  })
+})
+
+describe("two devices", () => {
+  test("pulls what the other device synced", async () => {
+    const session = await signUp(server.apiUrl)
+    const laptop = await signedInClient(session)
+    const phone = await signedInClient(session)
+
+    const note = await laptop.db.addNote("from the laptop #shared", {
+      notebook: "Work",
+    })
+    await laptop.sync()
+
+    const summary = await phone.sync()
+    assert.equal(summary.pulled, 1)
+    const pulled = await phone.db.getNoteByClientId(note.clientId)
+    assert.equal(pulled.content, "from the laptop #shared")
+    assert.equal(pulled.notebook, "Work")
+    assert.deepEqual(pulled.tags, ["shared"])
+
+    // Found by offline search too
+    const results = await phone.db.search([
+      { words: ["laptop"], prefix: false, negated: false },
+    ])
+    assert.equal(results.length, 1)
+
+    await laptop.db.deleteNote(note.clientId)
+    await laptop.sync()
+    await phone.sync()
+    assert.ok((await phone.db.getNoteByClientId(note.clientId)).deleted)
+  })
+
+  test("concurrent offline edits end in a conflict to resolve", async () => {
+    const session = await signUp(server.apiUrl)
+    const laptop = await signedInClient(session)
+    const phone = await signedInClient(session)
+
+    const { clientId } = await laptop.db.addNote("shopping list")
+    await laptop.sync()
+    await phone.sync()
+
+    laptop.online = false
+    phone.online = false
+    await laptop.db.updateNote(clientId, "shopping list\nmilk")
+    await phone.db.updateNote(clientId, "shopping list\neggs")
+
+    laptop.online = true
+    await laptop.sync()
+
+    const conflicts = []
+    phone.online = true
+    const summary = await phone.sync({
+      notify: (message) => {
+        if (message.type === "SYNC_CONFLICT") conflicts.push(message.clientId)
+      },
+    })
+    assert.equal(summary.conflicts, 1)
+    assert.deepEqual(conflicts, [clientId])
+
+    // The phone keeps its edit and learns the server's
+    const conflicted = await phone.db.getNoteByClientId(clientId)
+    assert.equal(conflicted.content, "shopping list\neggs")
+    assert.equal(conflicted.conflict.content, "shopping list\nmilk")
+    assert.equal(await phone.db.getSyncQueueCount(), 0)
+
+    await phone.db.resolveConflict(clientId, "shopping list\nmilk\neggs")
+    await phone.sync()
+    await laptop.sync()
+
+    const [note] = await serverNotes(session)
+    assert.equal(note.content, "shopping list\nmilk\neggs")
+    assert.equal(note.version, 3)
+    const merged = await laptop.db.getNoteByClientId(clientId)
+    assert.equal(merged.content, "shopping list\nmilk\neggs")
+  })
+
+  test("an edit to a note deleted elsewhere is a conflict", async () => {
+    const session = await signUp(server.apiUrl)
+    const laptop = await signedInClient(session)
+    const phone = await signedInClient(session)
+
+    const kept = await laptop.db.addNote("keep me")
+    const dropped = await laptop.db.addNote("drop me")
+    await laptop.sync()
+    await phone.sync()
+
+    await laptop.db.deleteNote(kept.clientId)
+    await laptop.db.deleteNote(dropped.clientId)
+    await laptop.sync()
+
+    await phone.db.updateNote(kept.clientId, "keep me, edited")
+    await phone.db.updateNote(dropped.clientId, "drop me, edited")
+    const summary = await phone.sync()
+
+    // Nothing is revived behind the user's back, or lost without a word
+    assert.equal(summary.conflicts, 2)
+    assert.equal((await serverNotes(session)).length, 0)
+    const conflicted = await phone.db.getNoteByClientId(kept.clientId)
+    assert.ok(conflicted.conflict.deleted)
+
+    await phone.db.resolveConflict(kept.clientId, "keep me, edited")
+    await phone.db.resolveConflict(dropped.clientId, "drop me")
+    await phone.sync()
+
+    const notes = await serverNotes(session)
+    assert.deepEqual(
+      notes.map((note) => note.content),
+      ["keep me, edited"]
+    )
+    assert.ok((await phone.db.getNoteByClientId(dropped.clientId)).deleted)
+  })
+})
+
+describe("notes from before accounts", () => {
+  test("edits under a server ID that isn't ours are created afresh", async () => {
+    const owner = await signUp(server.apiUrl)
+    const response = await api(server.apiUrl, owner)("/notes", {
+      method: "POST",
+      body: { content: "someone else's" },
+    })
+    const { id } = await response.json()
+
+    // A note synced before accounts existed, edited since the upgrade
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    const { clientId } = await client.db.addNote("mine")
+    await clearStore(client, "syncQueue")
+    await updateStore(client, "notes", { serverId: id, version: 1 })
+    await client.db.updateNote(clientId, "mine, edited")
+
+    assert.equal((await client.sync()).requeued, 1)
+    assert.equal((await client.sync()).pushed, 1)
+    const note = await client.db.getNoteByClientId(clientId)
+    assert.ok(note.synced)
+    assert.notEqual(note.serverId, id)
+
+    const notes = await serverNotes(session)
+    assert.ok(notes.some((stored) => stored.content === "mine, edited"))
+    const [theirs] = await serverNotes(owner)
+    assert.equal(theirs.content, "someone else's")
+  })
+})
+
+describe("failures", () => {
+  test("a rejected session pauses syncing without losing changes", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("waiting")
+
+    await api(server.apiUrl, session)("/auth/logout", { method: "POST" })
+
+    await assert.rejects(client.sync(), { name: "AuthRequiredError" })
+    assert.equal(await client.db.getSyncQueueCount(), 1)
+
+    // The token is dropped, the user kept
+    const auth = await client.db.getAuth()
+    assert.equal(auth.token, null)
+    assert.deepEqual(auth.user, session.user)
+
+    const login = await api(server.apiUrl)("/auth/login", {
+      method: "POST",
+      body: { username: session.user.username, password: "password123" },
+    })
+    await client.signIn(await login.json())
+    assert.equal((await client.sync()).pushed, 1)
+  })
+
+  test("rejected operations move to the dead letter store", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    const blank = await client.db.addNote("   ")
+    await client.db.addNote("fine")
+
+    const summary = await client.sync()
+    assert.equal(summary.pushed, 1)
+    assert.equal(summary.rejected, 1)
+    assert.equal(await client.db.getSyncQueueCount(), 0)
+
+    const [dead] = await readStore(client, "deadLetter")
+    assert.equal(dead.clientId, blank.clientId)
+    assert.equal(dead.error, "content must not be empty")
+    assert.equal(dead.errorCode, "VALIDATION_FAILED")
+  })
+
+  test("a server error keeps the whole batch queued", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("one")
+    await client.db.addNote("two")
+
+    const fetchAsUsual = client.fetch
+    client.fetch = (url, options) =>
+      url.endsWith("/sync")
+        ? Promise.resolve(new Response("Unavailable", { status: 503 }))
+        : fetchAsUsual(url, options)
+
+    await assert.rejects(client.sync(), {
+      name: "SyncRequestError",
+      code: "UNAVAILABLE",
+    })
+    assert.equal(await client.db.getSyncQueueCount(), 2)
+    assert.equal((await serverNotes(session)).length, 0)
+  })
+
+  test("failed operations back off before going out again", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("flaky")
+
+    const restore = failEachOperation(client, {
+      code: "INTERNAL_ERROR",
+      message: "database is locked",
+    })
+    const before = Date.now()
+    assert.equal((await client.sync()).retryable, 1)
+
+    const [queued] = await readStore(client, "syncQueue")
+    assert.equal(queued.attempts, 1)
+    assert.equal(queued.lastError.code, "INTERNAL_ERROR")
+    assert.ok(queued.nextAttemptAt >= before + 2500)
+
+    // Not sent again until it's due
+    client.requests.length = 0
+    assert.equal((await client.sync()).deferred, 1)
+    assert.ok(!client.requests.some((url) => url.endsWith("/sync")))
+
+    // The wait doubles with each attempt
+    await updateStore(client, "syncQueue", { nextAttemptAt: 0 })
+    const retried = Date.now()
+    await client.sync()
+    const [again] = await readStore(client, "syncQueue")
+    assert.equal(again.attempts, 2)
+    assert.ok(again.nextAttemptAt >= retried + 5000)
+
+    restore()
+    await updateStore(client, "syncQueue", { nextAttemptAt: 0 })
+    assert.equal((await client.sync()).pushed, 1)
+    assert.equal(await client.db.getSyncQueueCount(), 0)
+  })
+
+  test("an operation that keeps failing is given up on", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("cursed")
+    await updateStore(client, "syncQueue", { attempts: 9 })
+
+    failEachOperation(client, { code: "INTERNAL_ERROR", message: "crashed" })
+    assert.equal((await client.sync()).rejected, 1)
+
+    const [dead] = await readStore(client, "deadLetter")
+    assert.equal(dead.attempts, 10)
+    assert.equal(dead.errorCode, "INTERNAL_ERROR")
+    assert.equal(await client.db.getSyncQueueCount(), 0)
+  })
+
+  test("a server that stays down never costs the queue", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("never lands")
+    await updateStore(client, "syncQueue", { attempts: 9 })
+
+    const fetchAsUsual = client.fetch
+    client.fetch = (url, options) =>
+      url.endsWith("/sync")
+        ? Promise.resolve(new Response("Unavailable", { status: 503 }))
+        : fetchAsUsual(url, options)
+
+    await assert.rejects(client.sync(), { code: "UNAVAILABLE" })
+    const [queued] = await readStore(client, "syncQueue")
+    assert.equal(queued.attempts, 10)
+    assert.equal(await client.db.getDeadLetterCount(), 0)
+  })
+
+  test("only the server's own refusals split up a batch", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("one")
+    await client.db.addNote("two")
+
+    // A tunnel whose end is offline, then a rate limiter in front
+    const answers = [
+      () => new Response("Tunnel not found", { status: 404 }),
+      () =>
+        Response.json(
+          { error: { code: "RATE_LIMITED", message: "slow down" } },
+          { status: 429 }
+        ),
+    ]
+    const fetchAsUsual = client.fetch
+    for (const answer of answers) {
+      client.fetch = (url, options) =>
+        url.endsWith("/sync")
+          ? Promise.resolve(answer())
+          : fetchAsUsual(url, options)
+
+      client.requests.length = 0
+      await updateStore(client, "syncQueue", { nextAttemptAt: 0 })
+      await assert.rejects(client.sync(), { code: "UNAVAILABLE" })
+      assert.equal(
+        client.requests.filter((url) => url.endsWith("/sync")).length,
+        1
+      )
+      assert.equal(await client.db.getSyncQueueCount(), 2)
+      assert.equal(await client.db.getDeadLetterCount(), 0)
+    }
+  })
+
+  test("a forced run doesn't wait out the backoff", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("flaky")
+
+    const restore = failEachOperation(client, {
+      code: "INTERNAL_ERROR",
+      message: "database is locked",
+    })
+    await client.sync()
+
+    const [retrying] = await client.db.getRetryingOperations()
+    assert.equal(retrying.lastError.message, "database is locked")
+    assert.equal((await client.sync()).deferred, 1)
+
+    // Nor does it use up an attempt, however often it's forced
+    await updateStore(client, "syncQueue", { attempts: 9 })
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await client.sync({ force: true })).retryable, 1)
+    }
+    const [queued] = await readStore(client, "syncQueue")
+    assert.equal(queued.attempts, 9)
+
+    restore()
+    assert.equal((await client.sync({ force: true })).pushed, 1)
+    assert.equal((await client.db.getRetryingOperations()).length, 0)
+  })
+
+  test("failed operations can be retried or discarded", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("retry me")
+    await client.db.addNote("discard me")
+
+    const restore = failEachOperation(client, {
+      code: "VALIDATION_FAILED",
+      message: "not today",
+    })
+    await client.sync()
+    restore()
+
+    const failed = await client.db.getDeadLetters()
+    assert.equal(await client.db.getDeadLetterCount(), 2)
+    const byContent = (content) =>
+      failed.find((entry) => entry.content === content).id
+
+    await client.db.retryDeadLetter(byContent("retry me"))
+    await client.db.discardDeadLetter(byContent("discard me"))
+    assert.equal(await client.db.getDeadLetterCount(), 0)
+
+    const [queued] = await readStore(client, "syncQueue")
+    assert.equal(queued.attempts, undefined)
+    assert.equal(queued.error, undefined)
+
+    assert.equal((await client.sync()).pushed, 1)
+    const notes = await serverNotes(session)
+    assert.deepEqual(notes.map((note) => note.content), ["retry me"])
+  })
+
+  test("oversized batches go out one operation at a time", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    // Three bytes a character, so the batch is well over the 1mb body limit
+    const long = "€".repeat(90000)
+    for (let i = 0; i < 5; i++) await client.db.addNote(`${i} ${long}`)
+
+    client.requests.length = 0
+    const summary = await client.sync()
+
+    assert.equal(summary.pushed, 5)
+    assert.equal(
+      client.requests.filter((url) => url.endsWith("/sync")).length,
+      6
+    )
+    assert.equal((await serverNotes(session)).length, 5)
+  })
+})
+
+describe("backups", () => {
+  test("a backup restored into another account is created there", async () => {
+    const first = await signUp(server.apiUrl)
+    const source = await signedInClient(first)
+    await source.db.addNote("synced")
+    await source.sync()
+    await source.db.addNote("never synced")
+    const backup = await source.db.exportBackup(first.user)
+
+    const second = await signUp(server.apiUrl)
+    const target = await signedInClient(second)
+    const counts = await target.db.restoreBackup(
+      JSON.parse(JSON.stringify(backup)),
+      second.user
+    )
+    // Copied out of the client's realm to compare
+    assert.deepEqual(
+      { ...counts },
+      { restored: 2, skipped: 0, unreadable: 0, invalid: 0 }
+    )
+
+    await target.sync()
+    const notes = await serverNotes(second)
+    assert.deepEqual(
+      notes.map((note) => note.content).sort(),
+      ["never synced", "synced"]
+    )
+    assert.equal((await serverNotes(first)).length, 1)
+  })
+
+  test("damaged entries of a backup are left out", async () => {
+    const session = await signUp(server.apiUrl)
+    const source = await signedInClient(session)
+    await source.db.addNote("intact")
+    const backup = JSON.parse(
+      JSON.stringify(await source.db.exportBackup(session.user))
+    )
+    const [note] = backup.notes
+    backup.notes.push(
+      { ...note, clientId: 5 },
+      { ...note, clientId: "x');alert(1);('" },
+      { ...note, clientId: "no-content", content: undefined },
+      { ...note, clientId: "bad-tags", tags: "work" },
+      null
+    )
+    backup.syncQueue.push({ type: "create", clientId: {} }, "nonsense")
+
+    const target = await signedInClient(session)
+    const counts = await target.db.restoreBackup(backup, session.user)
+    assert.equal(counts.restored, 1)
+    assert.equal(counts.invalid, 7)
+
+    await target.sync()
+    const notes = await serverNotes(session)
+    assert.equal(notes.length, 1)
+    assert.equal(notes[0].content, "intact")
+  })
+})
+
+describe("encryption", () => {
+  const ENCRYPTED = /^e2e1:[\da-f]{16}:/
+
+  // What the page does: every note is re-encrypted (or decrypted, for
+  // null) and queued, then the server takes the new settings
+  async function switchKey(client, session, passphrase) {
+    const { key, settings } = passphrase
+      ? await client.createKey(passphrase)
+      : { key: null, settings: null }
+    await client.db.changeEncryption(settings, key)
+    await saveKeySwitch(client, session)
+  }
+
+  async function saveKeySwitch(client, session) {
+    const response = await api(server.apiUrl, session)("/encryption", {
+      method: "PUT",
+      body: await client.db.getKeySwitch(),
+    })
+    assert.equal(response.status, 200)
+    await client.db.clearKeySwitch()
+  }
+
+  async function fetchSettings(client, session) {
+    const response = await api(server.apiUrl, session)("/encryption")
+    await client.db.setEncryption((await response.json()).encryption)
+  }
+
+  test("the server only ever sees ciphertext", async () => {
+    const session = await signUp(server.apiUrl)
+    const laptop = await signedInClient(session)
+    await laptop.db.addNote("written before #old")
+    await laptop.sync()
+
+    await switchKey(laptop, session, "correct horse")
+    await laptop.db.addNote("the secret plan #hidden", { tags: ["kept"] })
+    await laptop.sync()
+
+    const notes = await serverNotes(session)
+    assert.ok(notes.every((note) => ENCRYPTED.test(note.content)))
+    assert.ok(notes.every((note) => note.title === ""))
+    // Hashtags would give the text away, so only explicit tags are kept
+    assert.deepEqual(
+      notes.map((note) => note.tags),
+      [["kept"], []]
+    )
+
+    // Nor is the plain text kept in the history
+    const response = await api(server.apiUrl, session)(
+      `/notes/${notes[1].id}/revisions`
+    )
+    const { revisions } = await response.json()
+    assert.ok(revisions.every((revision) => ENCRYPTED.test(revision.content)))
+  })
+
+  test("another device has to unlock the notes", async () => {
+    const session = await signUp(server.apiUrl)
+    const laptop = await signedInClient(session)
+    await switchKey(laptop, session, "correct horse")
+    const { clientId } = await laptop.db.addNote("the secret plan")
+    await laptop.sync()
+
+    const phone = await signedInClient(session)
+    await fetchSettings(phone, session)
+    await phone.sync()
+
+    assert.ok(phone.db.locked)
+    const note = await phone.db.getNoteByClientId(clientId)
+    assert.ok((await phone.db.openNote(note)).locked)
+    assert.ok(phone.db.isLocked(note))
+    await assert.rejects(phone.db.addNote("new"), { name: "LockedError" })
+
+    assert.equal(await phone.db.unlock("wrong horse"), false)
+    assert.equal(await phone.db.unlock("correct horse"), true)
+    assert.equal((await phone.db.openNote(note)).content, "the secret plan")
+    assert.ok(!phone.db.isLocked(note))
+
+    // The local index has nothing on encrypted notes
+    const terms = [{ words: ["secret"], prefix: false, negated: false }]
+    assert.equal((await phone.db.search(terms)).length, 0)
+    const results = await phone.db.searchEncrypted(terms)
+    assert.equal(results.length, 1)
+    assert.equal(results[0].note.content, "the secret plan")
+
+    phone.db.lock()
+    assert.equal((await phone.db.searchEncrypted(terms)).length, 0)
+  })
+
+  test("a new passphrase re-encrypts every note", async () => {
+    const session = await signUp(server.apiUrl)
+    const laptop = await signedInClient(session)
+    const phone = await signedInClient(session)
+    await switchKey(laptop, session, "first passphrase")
+    const { clientId } = await laptop.db.addNote("rotate me")
+    await laptop.sync()
+
+    await fetchSettings(phone, session)
+    await phone.db.unlock("first passphrase")
+    await phone.sync()
+    const oldKeyId = phone.db.encryption.keyId
+
+    await switchKey(laptop, session, "second passphrase")
+    const summary = await laptop.sync()
+    assert.equal(summary.pushed, 1)
+
+    const [stored] = await serverNotes(session)
+    assert.ok(stored.content.startsWith(`e2e1:${laptop.db.encryption.keyId}`))
+
+    // The phone's key is out of date, and so is its idea of the settings
+    const { settings } = await phone.createKey("third passphrase")
+    const response = await api(server.apiUrl, session)("/encryption", {
+      method: "PUT",
+      body: { encryption: settings, previousKeyId: oldKeyId },
+    })
+    assert.equal(response.status, 409)
+    assert.equal((await response.json()).error.code, "KEY_CHANGED")
+
+    await phone.sync()
+    const note = await phone.db.getNoteByClientId(clientId)
+    assert.ok((await phone.db.openNote(note)).locked)
+
+    await fetchSettings(phone, session)
+    assert.ok(phone.db.locked)
+    await phone.db.unlock("second passphrase")
+    assert.equal((await phone.db.openNote(note)).content, "rotate me")
+  })
+
+  test("nothing is pushed until the server has the new settings", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("kept readable meanwhile")
+    await client.sync()
+
+    const { key, settings } = await client.createKey("correct horse")
+    await client.db.changeEncryption(settings, key)
+    const summary = await client.sync()
+    assert.equal(summary.pushed, 0)
+    assert.equal(summary.deferred, 1)
+
+    const [stored] = await serverNotes(session)
+    assert.equal(stored.content, "kept readable meanwhile")
+
+    await saveKeySwitch(client, session)
+    assert.equal((await client.sync()).pushed, 1)
+    const [encrypted] = await serverNotes(session)
+    assert.ok(ENCRYPTED.test(encrypted.content))
+  })
+
+  test("trashed notes get the new key too", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await switchKey(client, session, "first passphrase")
+    const { clientId } = await client.db.addNote("binned before the change")
+    await client.sync()
+    await client.db.deleteNote(clientId)
+    await client.sync()
+
+    await switchKey(client, session, "second passphrase")
+    assert.equal((await client.sync()).pushed, 1)
+    await client.db.restoreNote(clientId)
+    await client.sync()
+
+    const [stored] = await serverNotes(session)
+    assert.ok(stored.content.startsWith(`e2e1:${client.db.encryption.keyId}`))
+
+    const phone = await signedInClient(session)
+    await fetchSettings(phone, session)
+    await phone.db.unlock("second passphrase")
+    await phone.sync()
+    const note = await phone.db.getNoteByClientId(clientId)
+    assert.equal(
+      (await phone.db.openNote(note)).content,
+      "binned before the change"
+    )
+
+    // Turned off, a note restored later is plain text
+    await client.db.deleteNote(clientId)
+    await client.sync()
+    await switchKey(client, session, null)
+    await client.sync()
+    await client.db.restoreNote(clientId)
+    await client.sync()
+    const [plain] = await serverNotes(session)
+    assert.equal(plain.content, "binned before the change")
+  })
+
+  test("a trashed note in a conflict stops the switch", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    const { clientId } = await client.db.addNote("binned")
+    await client.db.deleteNote(clientId)
+    await updateStore(client, "notes", {
+      conflict: { content: "theirs", version: 9 },
+    })
+
+    const { key, settings } = await client.createKey("correct horse")
+    await assert.rejects(
+      client.db.changeEncryption(settings, key),
+      /can't be re-encrypted/
+    )
+    assert.equal(client.db.encryption, null)
+    assert.equal(await client.db.getKeySwitch(), null)
+    const note = await client.db.getNoteByClientId(clientId)
+    assert.equal(note.content, "binned")
+  })
+
+  test("changes that failed to sync stop the switch", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await client.db.addNote("   ")
+    assert.equal((await client.sync()).rejected, 1)
+
+    const { key, settings } = await client.createKey("correct horse")
+    await assert.rejects(
+      client.db.changeEncryption(settings, key),
+      /failed to sync/
+    )
+    assert.equal(client.db.encryption, null)
+
+    const [failed] = await client.db.getDeadLetters()
+    await client.db.discardDeadLetter(failed.id)
+    assert.equal(await client.db.changeEncryption(settings, key), 1)
+  })
+
+  test("a restored backup is encrypted with the current key", async () => {
+    const session = await signUp(server.apiUrl)
+    const laptop = await signedInClient(session)
+    const copy = async () =>
+      JSON.parse(JSON.stringify(await laptop.db.exportBackup(session.user)))
+
+    await laptop.db.addNote("from before #old")
+    const plain = await copy()
+    await switchKey(laptop, session, "first passphrase")
+    await laptop.db.addNote("under the first key")
+    const sealed = await copy()
+    await switchKey(laptop, session, "second passphrase")
+
+    const phone = await signedInClient(session)
+    await fetchSettings(phone, session)
+    await assert.rejects(phone.db.restoreBackup(plain, session.user), {
+      name: "LockedError",
+    })
+    await phone.db.unlock("second passphrase")
+
+    // Nobody has the first key any more
+    const counts = await phone.db.restoreBackup(sealed, session.user)
+    assert.equal(counts.restored, 0)
+    assert.equal(counts.unreadable, 2)
+
+    const restored = await phone.db.restoreBackup(plain, session.user)
+    assert.equal(restored.restored, 1)
+    await phone.sync()
+    const [stored] = await serverNotes(session)
+    assert.ok(stored.content.startsWith(`e2e1:${phone.db.encryption.keyId}`))
+    assert.equal(stored.tags.length, 0)
+  })
+
+  test("turning encryption off stores text again", async () => {
+    const session = await signUp(server.apiUrl)
+    const client = await signedInClient(session)
+    await switchKey(client, session, "correct horse")
+    await client.db.addNote("no longer secret #public")
+    await client.sync()
+
+    await switchKey(client, session, null)
+    assert.equal(client.db.locked, false)
+    await client.db.addNote("plain from the start")
+    await client.sync()
+
+    const notes = await serverNotes(session)
+    assert.deepEqual(
+      notes.map((note) => [note.content, note.tags]),
+      [
+        ["plain from the start", []],
+        ["no longer secret #public", ["public"]],
+      ]
+    )
+  })
+})
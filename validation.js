@@ -0,0 +1,211 @@
+// Declarative validation for request bodies, params and queries. A schema
+// is built from the functions below; checking a value returns it cleaned
+// up (trimmed, converted, defaults filled in, unknown fields dropped) along
+// with every problem found, so a response can list them all at once.
+const { sendError } = require("./errors")
+
+// Each validator takes (value, path, problems) and returns the cleaned
+// value, or records a problem and returns undefined
+function problem(problems, path, message) {
+  problems.push({ path, message })
+  return undefined
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`
+  return path ? `${path}.${key}` : key
+}
+
+function string({
+  min = 0,
+  max = Infinity,
+  trim = false,
+  pattern,
+  message,
+} = {}) {
+  return (value, path, problems) => {
+    if (typeof value !== "string") {
+      return problem(problems, path, "must be a string")
+    }
+
+    const text = trim ? value.trim() : value
+    if (text.length < min) {
+      return problem(
+        problems,
+        path,
+        min === 1 ? "must not be empty" : `must be at least ${min} characters`
+      )
+    }
+    if (text.length > max) {
+      return problem(problems, path, `must be at most ${max} characters`)
+    }
+    if (pattern && !pattern.test(text)) {
+      return problem(problems, path, message)
+    }
+    return text
+  }
+}
+
+// Params and query values arrive as strings, so `coerce` accepts digits too
+function integer({ min = -Infinity, max = Infinity, coerce = false } = {}) {
+  return (value, path, problems) => {
+    const number =
+      coerce && typeof value === "string" && /^-?\d+$/.test(value)
+        ? Number(value)
+        : value
+
+    if (!Number.isSafeInteger(number)) {
+      return problem(problems, path, "must be a whole number")
+    }
+    if (number < min) return problem(problems, path, `must be at least ${min}`)
+    if (number > max) return problem(problems, path, `must be at most ${max}`)
+    return number
+  }
+}
+
+function oneOf(values) {
+  return (value, path, problems) =>
+    values.includes(value)
+      ? value
+      : problem(problems, path, `must be one of ${values.join(", ")}`)
+}
+
+function array(item, { max = Infinity } = {}) {
+  return (value, path, problems) => {
+    if (!Array.isArray(value)) return problem(problems, path, "must be a list")
+    if (value.length > max) {
+      return problem(problems, path, `must have at most ${max} items`)
+    }
+    return value.map((entry, i) => item(entry, childPath(path, i), problems))
+  }
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value)
+}
+
+// Fields not in the shape are dropped, and so are optional ones left out
+function object(shape) {
+  return (value, path, problems) => {
+    if (!isObject(value)) return problem(problems, path, "must be an object")
+
+    const result = {}
+    for (const [key, schema] of Object.entries(shape)) {
+      const checked = schema(value[key], childPath(path, key), problems)
+      if (checked !== undefined) result[key] = checked
+    }
+    return result
+  }
+}
+
+// Objects that take one of several shapes, picked by the value of `key`,
+// which is kept in the result
+function variant(key, shapes) {
+  const pick = oneOf(Object.keys(shapes))
+
+  return (value, path, problems) => {
+    if (!isObject(value)) return problem(problems, path, "must be an object")
+
+    const kind = pick(value[key], childPath(path, key), problems)
+    if (kind === undefined) return undefined
+
+    const checked = shapes[kind](value, path, problems)
+    return checked && { [key]: kind, ...checked }
+  }
+}
+
+// Accepts anything, e.g. list items checked later one by one
+function any() {
+  return (value) => value
+}
+
+// `fallback` stands in for a missing value
+function optional(schema, fallback) {
+  return (value, path, problems) =>
+    value === undefined ? fallback : schema(value, path, problems)
+}
+
+function nullable(schema) {
+  return (value, path, problems) =>
+    value === null ? null : schema(value, path, problems)
+}
+
+// `parse` returns the converted value, or null when it's invalid
+function custom(parse, message) {
+  return (value, path, problems) => {
+    const parsed = parse(value)
+    return parsed === null ? problem(problems, path, message) : parsed
+  }
+}
+
+// Returns { value, problems }. A problem with an empty path is
+// about the whole value, which `subject` names.
+function check(schema, value, subject = "value") {
+  const problems = []
+  const checked = schema(value, "", problems)
+
+  return {
+    value: checked,
+    problems: problems.map(({ path, message }) => ({
+      path: path || subject,
+      message,
+    })),
+  }
+}
+
+// "content must not be empty, tags[2] must be a string"
+function describeProblems(problems) {
+  return problems.map(({ path, message }) => `${path} ${message}`).join(", ")
+}
+
+// Route middleware checking any of req.params, req.query and req.body,
+// which are replaced with the cleaned values. Answers 400 otherwise.
+function validate(schemas) {
+  return (req, res, next) => {
+    const problems = []
+    const values = {}
+
+    for (const [part, schema] of Object.entries(schemas)) {
+      const result = check(schema, req[part], part)
+      problems.push(...result.problems)
+      values[part] = result.value
+    }
+
+    if (problems.length > 0) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_FAILED",
+        describeProblems(problems),
+        problems
+      )
+    }
+
+    // Express 5's req.query is a getter, so set them on the request itself
+    for (const [part, value] of Object.entries(values)) {
+      Object.defineProperty(req, part, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      })
+    }
+    next()
+  }
+}
+
+module.exports = {
+  string,
+  integer,
+  oneOf,
+  array,
+  object,
+  variant,
+  optional,
+  nullable,
+  custom,
+  any,
+  check,
+  describeProblems,
+  validate,
+}